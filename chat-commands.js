@@ -0,0 +1,74 @@
+// Chat commands - a registry for /commands typed into the chat input
+// game.js registers the built-in commands; game-specific commands can be added
+// from any script loaded after this one:
+//
+//   registerChatCommand('dance', {
+//       usage: '/dance',
+//       description: 'Show off your moves',
+//       run: async ({ args, argsText }) => { ... }
+//   });
+//
+// A command reports a problem by throwing an Error; its message is shown to
+// the player as a System chat message.
+
+const chatCommands = new Map();
+const chatCommandAliases = new Map();
+
+function registerChatCommand(name, definition) {
+    const command = {
+        name: name.toLowerCase(),
+        usage: definition.usage || `/${name}`,
+        description: definition.description || '',
+        aliases: (definition.aliases || []).map(alias => alias.toLowerCase()),
+        run: definition.run
+    };
+
+    if (typeof command.run !== 'function') {
+        throw new Error(`Chat command /${command.name} needs a run function`);
+    }
+
+    chatCommands.set(command.name, command);
+    command.aliases.forEach(alias => chatCommandAliases.set(alias, command.name));
+    return command;
+}
+
+function getChatCommand(name) {
+    const key = name.toLowerCase();
+    return chatCommands.get(key) || chatCommands.get(chatCommandAliases.get(key));
+}
+
+function listChatCommands() {
+    return Array.from(chatCommands.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function isChatCommand(input) {
+    return input.trim().startsWith('/');
+}
+
+// Split "/w bob hello there" into { name: 'w', argsText: 'bob hello there', args: [...] }
+function parseChatCommand(input) {
+    const match = input.trim().match(/^\/(\S+)\s*([\s\S]*)$/);
+    if (!match) return null;
+
+    const argsText = match[2].trim();
+    return {
+        name: match[1],
+        argsText,
+        args: argsText ? argsText.split(/\s+/) : []
+    };
+}
+
+// Run a command line. Throws if the command is unknown or fails.
+async function runChatCommand(input) {
+    const parsed = parseChatCommand(input);
+    if (!parsed) {
+        throw new Error('Type /help to see the available commands');
+    }
+
+    const command = getChatCommand(parsed.name);
+    if (!command) {
+        throw new Error(`Unknown command /${parsed.name}. Type /help to see the available commands`);
+    }
+
+    return command.run({ ...parsed, command });
+}
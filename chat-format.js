@@ -0,0 +1,141 @@
+// Chat formatter - turns chat text into safe DOM nodes
+// Message text is always treated as plain text. Only @mentions, http(s) links
+// and :shortcode: emoji become markup, and those are built with DOM APIs,
+// never innerHTML. Loaded by index.html for game.js.
+
+const CHAT_MAX_LENGTH = 200;
+
+// Emoji available as :shortcode: in chat
+const CHAT_EMOJI_SHORTCODES = {
+    smile: '😄',
+    grin: '😁',
+    joy: '😂',
+    wink: '😉',
+    cool: '😎',
+    cry: '😢',
+    thinking: '🤔',
+    heart: '❤️',
+    thumbsup: '👍',
+    thumbsdown: '👎',
+    wave: '👋',
+    clap: '👏',
+    fire: '🔥',
+    star: '⭐',
+    tada: '🎉',
+    robot: '🤖',
+    alien: '👾',
+    cat: '🐱',
+    dog: '🐶',
+    unicorn: '🦄',
+    frog: '🐸'
+};
+
+// Links, @mentions and :shortcodes: in one pass, so they never overlap
+const CHAT_TOKEN_PATTERN = /(https?:\/\/[^\s<>"'`]+)|(^|[^\w@])@([A-Za-z0-9_]{1,32})|:([a-z0-9_+-]{1,32}):/g;
+
+// Characters that can hide or reorder text: control, zero-width and bidi overrides
+const CHAT_INVISIBLE_PATTERN = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// Normalize a message the same way the worker's POST /api/chat does
+// (see sanitizeChatText in mmo.js - test/chat-format.test.js checks the two agree)
+function sanitizeChatText(text) {
+    if (typeof text !== 'string') return '';
+
+    const cleaned = text
+        .normalize('NFC')
+        .replace(CHAT_INVISIBLE_PATTERN, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Cut by code point so emoji are never split in half
+    return Array.from(cleaned).slice(0, CHAT_MAX_LENGTH).join('').trim();
+}
+
+// Only plain http(s) URLs become links
+function toSafeUrl(candidate) {
+    try {
+        const url = new URL(candidate);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function createMentionNode(username, currentUsername) {
+    const mention = document.createElement('span');
+    mention.className = 'mention';
+    if (currentUsername && username.toLowerCase() === currentUsername.toLowerCase()) {
+        mention.classList.add('mention-self');
+    }
+    mention.textContent = '@' + username;
+    return mention;
+}
+
+function createLinkNode(rawUrl) {
+    // Sentence punctuation right after a URL is not part of it
+    const trailing = rawUrl.match(/[.,;:!?)\]]+$/);
+    const urlText = trailing ? rawUrl.slice(0, -trailing[0].length) : rawUrl;
+    const href = toSafeUrl(urlText);
+
+    const fragment = document.createDocumentFragment();
+    if (href) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer nofollow ugc';
+        link.textContent = urlText;
+        fragment.appendChild(link);
+    } else {
+        fragment.appendChild(document.createTextNode(urlText));
+    }
+    if (trailing) {
+        fragment.appendChild(document.createTextNode(trailing[0]));
+    }
+    return fragment;
+}
+
+// Build the body of a chat message as a DocumentFragment.
+// Options: currentUsername - highlights @mentions of the local player
+function formatChatMessage(text, options = {}) {
+    const fragment = document.createDocumentFragment();
+    const message = String(text);
+    let lastIndex = 0;
+    let match;
+
+    CHAT_TOKEN_PATTERN.lastIndex = 0;
+    while ((match = CHAT_TOKEN_PATTERN.exec(message)) !== null) {
+        const [token, url, mentionPrefix, mentionName, shortcode] = match;
+
+        // Unknown shortcodes stay as typed
+        if (shortcode && !CHAT_EMOJI_SHORTCODES[shortcode]) continue;
+
+        const tokenStart = match.index + (mentionPrefix ? mentionPrefix.length : 0);
+        fragment.appendChild(document.createTextNode(message.slice(lastIndex, tokenStart)));
+
+        if (url) {
+            fragment.appendChild(createLinkNode(url));
+        } else if (mentionName) {
+            fragment.appendChild(createMentionNode(mentionName, options.currentUsername));
+        } else {
+            fragment.appendChild(document.createTextNode(CHAT_EMOJI_SHORTCODES[shortcode]));
+        }
+        lastIndex = match.index + token.length;
+    }
+
+    fragment.appendChild(document.createTextNode(message.slice(lastIndex)));
+    return fragment;
+}
+
+// Whether a message @mentions the given username
+function chatMentions(text, username) {
+    if (!username) return false;
+
+    CHAT_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = CHAT_TOKEN_PATTERN.exec(String(text))) !== null) {
+        if (match[3] && match[3].toLowerCase() === username.toLowerCase()) {
+            return true;
+        }
+    }
+    return false;
+}
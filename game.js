@@ -3,25 +3,86 @@ const GAME_CONFIG = {
     // Replace this with your deployed worker URL
     // Example: 'https://your-worker-name.puter.work'
     workerUrl: null, // Set to null to auto-deploy, or provide your worker URL
-    autoDeployWorker: true // Set to false if using a pre-deployed worker
+    autoDeployWorker: true, // Set to false if using a pre-deployed worker
+    // Set to true when workerUrl points at the local runtime (node local/server.js)
+    // Requests then go through plain fetch and identify the player by username
+    localRuntime: false,
+    // 'canvas' draws the world on one <canvas>; 'dom' uses a div per player and
+    // item. Browsers without canvas get 'dom' either way (see renderer.js)
+    renderer: 'canvas',
+    // 'worker' plays against the worker above; 'simulated' runs mmo.js in the
+    // page with bots (see transport.js). ?transport= in the page URL overrides it
+    transport: 'worker'
 };
 
 // Game state
 let gameState = {
     user: null,
     selectedEmoji: null,
-    playerPosition: { x: 250, y: 250 }, // Center of 500x500 grid
-    players: new Map(),
+    profile: null, // saved profile from /api/player/me, null for new players
+    room: null, // id of the room we play in, sent with every worker request
+    roomName: null,
+    playerPosition: { x: 1000, y: 1000 }, // the worker moves new players to its spawn point
+    renderPosition: { x: 1000, y: 1000 }, // where the local player is drawn, gliding after playerPosition
+    localPresence: 'active',
+    renderer: null, // draws each frame, see renderer.js
+    input: null, // keys, touch joystick and gamepads, see input.js
+    animationFrame: null,
+    selectedPlayerId: null, // the player clicked on, highlighted in the world
+    clockOffset: 0, // our clock minus the worker's, from the last players update
+    lastSyncTime: null, // worker time of the last players update
+    world: { width: 2000, height: 2000 }, // replaced by the size the worker reports on join
+    camera: { x: 0, y: 0 }, // world coordinates of the viewport's top-left corner
+    map: null, // the room's tile map from /api/map
+    items: new Map(), // items lying in the room, by id
+    pickupsInFlight: new Set(), // ids of items we've asked to pick up
+    pickupRange: 40, // replaced by the range /api/items reports
+    playersArea: null, // the area the players cursor belongs to
+    players: new Map(), // remote players, each with the snapshots they're drawn between
+    playersCursor: null, // cursor from the last /api/players response, for delta sync
+    syncMode: null, // 'long-poll' while the worker answers /api/sync, 'poll' for older workers
+    syncController: null, // aborts the /api/sync request the worker is holding
+    syncArea: null, // the area of interest the held request asked about
+    lastChatSeq: null, // sequence number of the newest chat message we've shown
+    tag: null, // the room's round of tag from /api/tag
+    emotes: [], // emotes the worker accepts, from /api/emotes
+    bubbles: new Map(), // player id -> emote and chat bubble showing over their avatar
+    tagFetchedAt: 0, // when we got it, to count the round timer down between polls
     isLoggedIn: false,
     gameStarted: false,
-    workerUrl: GAME_CONFIG.workerUrl
+    loopTimers: [], // intervals started by startGameLoop
+    lastMoveTime: 0,
+    inputSeq: 0, // number of our latest move, sent with each position update
+    pendingInputs: [], // moves the worker hasn't confirmed yet: { seq, dx, dy }
+    positionInFlight: false, // a position update is waiting for the worker
+    positionPending: false, // we moved again meanwhile, send once it's answered
+    positionTimer: null, // retry scheduled after a rate limit
+    backoffUntil: {}, // path -> time the worker's Retry-After runs out
+    transport: null, // how we reach the backend, see transport.js
+    connected: false // the backend is ready for requests
 };
 
 // Game constants
-const GRID_SIZE = 500;
 const PLAYER_SIZE = 20;
-const MOVE_SPEED = 20;
+const WORKER_MAX_MOVE_SPEED = 200; // px/s, the worker's MAX_MOVE_SPEED
+const MOVE_INTERVAL = 100; // ms between steps
+// Steps cover 90% of what the worker allows, so updates that arrive bunched
+// up by network jitter still fit its speed limit (18px)
+const MOVE_SPEED = Math.floor(WORKER_MAX_MOVE_SPEED * 0.9 * MOVE_INTERVAL / 1000);
 const UPDATE_INTERVAL = 1000; // 1 second
+const SYNC_MIN_INTERVAL = 250; // ms between long polls while the room keeps changing
+const SYNC_RETRY_DELAY = 2000; // ms before asking again after a failed long poll
+const ITEMS_INTERVAL = 3000; // items spawn every few seconds at most
+const LEADERBOARD_INTERVAL = 15000;
+const TAG_INTERVAL = 2000; // tags happen on the worker as players move, so poll who's it often
+const BUBBLE_FADE = 500; // ms bubbles take to fade out
+// Remote players are drawn this far in the past, a little over one poll, so
+// there's nearly always a newer snapshot to move them towards
+const INTERPOLATION_DELAY = UPDATE_INTERVAL + 250;
+const MAX_SNAPSHOTS = 5;
+const HEARTBEAT_INTERVAL = 10000; // keeps us online while idle; the worker marks us away after 30s without one
+const AOI_MARGIN = 200; // pixels around the viewport to fetch players for
+const AOI_STEP = 250; // the fetched area moves in steps this size, matching the worker's cells
 
 // DOM elements
 const splashScreen = document.getElementById('splashScreen');
@@ -31,16 +92,44 @@ const status = document.getElementById('status');
 const emojiSection = document.getElementById('emojiSection');
 const startGameBtn = document.getElementById('startGameBtn');
 const playerInfo = document.getElementById('playerInfo');
+const roomSection = document.getElementById('roomSection');
+const roomList = document.getElementById('roomList');
 const onlineCount = document.getElementById('onlineCount');
 const logoutBtn = document.getElementById('logoutBtn');
+const demoNotice = document.getElementById('demoNotice');
+const addBotBtn = document.getElementById('addBotBtn');
 const gameGrid = document.getElementById('gameGrid');
+const gameWorld = document.getElementById('gameWorld');
+const gameArea = document.getElementById('gameArea');
+const inventoryList = document.getElementById('inventoryList');
+const leaderboardStat = document.getElementById('leaderboardStat');
+const leaderboardPeriod = document.getElementById('leaderboardPeriod');
+const leaderboardList = document.getElementById('leaderboardList');
+const leaderboardYou = document.getElementById('leaderboardYou');
+const tagStatus = document.getElementById('tagStatus');
+const tagOptOutBtn = document.getElementById('tagOptOutBtn');
+const tagResults = document.getElementById('tagResults');
+const tagResultsTitle = document.getElementById('tagResultsTitle');
+const tagResultsList = document.getElementById('tagResultsList');
+const tagResultsClose = document.getElementById('tagResultsClose');
+const emoteBar = document.getElementById('emoteBar');
 const chatMessages = document.getElementById('chatMessages');
 const chatInput = document.getElementById('chatInput');
 const chatSend = document.getElementById('chatSend');
+const chatChannel = document.getElementById('chatChannel');
+const chatRecipient = document.getElementById('chatRecipient');
+const chatTabs = document.getElementById('chatTabs');
 
 // Initialize the game
 document.addEventListener('DOMContentLoaded', function() {
+    const transportKind = new URLSearchParams(location.search).get('transport') || GAME_CONFIG.transport;
+    gameState.transport = createTransport(transportKind, GAME_CONFIG);
+    
     setupEventListeners();
+    registerBuiltInChatCommands();
+    if (gameState.transport.kind === 'simulated') {
+        setupDemo();
+    }
     checkExistingLogin();
 });
 
@@ -69,16 +158,40 @@ function setupEventListeners() {
         }
     });
     
-    // Keyboard controls for movement
-    document.addEventListener('keydown', handleKeyPress);
+    // Whispers need a recipient
+    chatChannel.addEventListener('change', function() {
+        chatRecipient.style.display = this.value === 'whisper' ? 'block' : 'none';
+    });
+    
+    // Chat tabs filter the panel by channel
+    chatTabs.querySelectorAll('.chat-tab').forEach(tab => {
+        tab.addEventListener('click', function() {
+            chatTabs.querySelectorAll('.chat-tab').forEach(other => other.classList.remove('active'));
+            this.classList.add('active');
+            chatMessages.dataset.filter = this.dataset.filter;
+        });
+    });
+    
+    // Leaderboard stat and period
+    leaderboardStat.addEventListener('change', fetchLeaderboard);
+    leaderboardPeriod.addEventListener('change', fetchLeaderboard);
+    
+    // Tag
+    tagOptOutBtn.addEventListener('click', toggleTagOptOut);
+    tagResultsClose.addEventListener('click', () => {
+        tagResults.style.display = 'none';
+    });
+    
+    // Click a player to select them
+    gameGrid.addEventListener('click', handleWorldClick);
 }
 
 async function checkExistingLogin() {
     try {
-        if (puter.auth.isSignedIn()) {
-            gameState.user = await puter.auth.getUser();
+        if (gameState.transport.auth.isSignedIn()) {
+            gameState.user = await gameState.transport.auth.getUser();
             showStatus('Already logged in as ' + gameState.user.username);
-            showEmojiSelection();
+            await showPlayerSetup();
         }
     } catch (error) {
         console.log('Not logged in yet');
@@ -90,12 +203,12 @@ async function handleLogin() {
         showStatus('Logging in...');
         loginBtn.disabled = true;
         
-        await puter.auth.signIn();
-        gameState.user = await puter.auth.getUser();
+        await gameState.transport.auth.signIn();
+        gameState.user = await gameState.transport.auth.getUser();
         gameState.isLoggedIn = true;
         
         showStatus('Logged in as ' + gameState.user.username);
-        showEmojiSelection();
+        await showPlayerSetup();
         
     } catch (error) {
         showStatus('Login failed: ' + error.message);
@@ -103,8 +216,39 @@ async function handleLogin() {
     }
 }
 
-function showEmojiSelection() {
+// Returning players keep their avatar and go straight to the room list
+async function showPlayerSetup() {
     document.getElementById('loginSection').style.display = 'none';
+    
+    const profile = await loadProfile();
+    if (profile && profile.emoji) {
+        gameState.profile = profile;
+        gameState.selectedEmoji = profile.emoji;
+        showStatus(`Welcome back, ${gameState.user.username} ${profile.emoji}! Type /emoji in chat to change your avatar.`);
+        await showRoomSelection();
+        return;
+    }
+    
+    showEmojiSelection();
+}
+
+async function loadProfile() {
+    try {
+        await setupWorker();
+        const response = await workerFetch('/api/player/me');
+        if (response.status === 404) return null;
+        
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error);
+        return data.profile;
+    } catch (error) {
+        // Without a profile the player simply picks an avatar again
+        console.error('Failed to load profile:', error);
+        return null;
+    }
+}
+
+function showEmojiSelection() {
     emojiSection.style.display = 'block';
 }
 
@@ -118,6 +262,68 @@ function selectEmoji(emoji) {
     document.querySelector(`[data-emoji="${emoji}"]`).classList.add('selected');
     
     gameState.selectedEmoji = emoji;
+    showRoomSelection();
+}
+
+async function showRoomSelection() {
+    if (roomSection.style.display === 'block') return;
+    roomSection.style.display = 'block';
+    await loadRooms();
+}
+
+async function loadRooms() {
+    roomList.textContent = 'Loading rooms...';
+    
+    try {
+        await setupWorker();
+        const response = await workerFetch('/api/rooms');
+        const data = await response.json();
+        
+        roomList.textContent = '';
+        data.rooms.forEach(room => roomList.appendChild(createRoomOption(room)));
+        
+        // Preselect the room the player was last in, or the default room, when it has space
+        const lastPosition = gameState.profile && gameState.profile.lastPosition;
+        const preferredId = lastPosition ? lastPosition.room : data.defaultRoom;
+        const preferredRoom = data.rooms.find(room => room.id === preferredId);
+        if (!gameState.room && preferredRoom && !preferredRoom.full) {
+            selectRoom(preferredRoom);
+        }
+    } catch (error) {
+        roomList.textContent = 'Failed to load rooms: ' + error.message;
+        console.error('Room list error:', error);
+    }
+}
+
+function createRoomOption(room) {
+    const option = document.createElement('div');
+    option.className = 'room-option';
+    option.dataset.room = room.id;
+    if (room.full) option.classList.add('full');
+    if (room.id === gameState.room) option.classList.add('selected');
+    
+    const name = document.createElement('span');
+    name.className = 'room-name';
+    name.textContent = room.name;
+    
+    const population = document.createElement('span');
+    population.className = 'room-population';
+    population.textContent = room.full ? 'Full' : `${room.players}/${room.maxPlayers}`;
+    
+    option.append(name, population);
+    option.addEventListener('click', () => {
+        if (!room.full) selectRoom(room);
+    });
+    return option;
+}
+
+function selectRoom(room) {
+    roomList.querySelectorAll('.room-option').forEach(option => {
+        option.classList.toggle('selected', option.dataset.room === room.id);
+    });
+    
+    gameState.room = room.id;
+    gameState.roomName = room.name;
     startGameBtn.style.display = 'block';
 }
 
@@ -127,399 +333,1276 @@ async function startGame() {
         return;
     }
     
+    if (!gameState.room) {
+        alert('Please choose a room first!');
+        return;
+    }
+    
     try {
         showStatus('Starting game...');
         
         // Setup worker connection
         await setupWorker();
         
+        if (!gameState.renderer) {
+            gameState.renderer = createRenderer(GAME_CONFIG.renderer, {
+                container: gameGrid,
+                world: gameWorld,
+                playerSize: PLAYER_SIZE
+            });
+        }
+        if (!gameState.input) {
+            gameState.input = createInputManager({ container: gameArea });
+        }
+        
         // Initialize player data
         await initializePlayer();
+        await loadMap();
+        fetchItems();
+        loadInventory();
+        fetchLeaderboard();
+        fetchTag();
+        loadEmotes();
         
         // Hide splash screen and show game
         splashScreen.style.display = 'none';
         gameContainer.style.display = 'flex';
         
         // Update player info
-        playerInfo.textContent = `Player: ${gameState.user.username} ${gameState.selectedEmoji}`;
+        updatePlayerInfo();
         
-        // Create player element
-        createPlayerElement(gameState.user.uuid, gameState.selectedEmoji, gameState.playerPosition);
+        gameState.gameStarted = true;
         
         // Start game loops
         startGameLoop();
+        startRenderLoop();
+        gameState.input.attach();
         
-        gameState.gameStarted = true;
-        
-        addChatMessage('System', 'Game started! Use arrow keys to move.');
+        addChatMessage('System', 'Game started! Move with the arrow keys or WASD; /keys shows your bindings.');
         
     } catch (error) {
         showStatus('Failed to start game: ' + error.message);
         console.error('Game start error:', error);
+        
+        // The room may have filled up while we were choosing, show fresh numbers
+        loadRooms();
     }
 }
 
+// Connect to the backend, deploying the worker first if needed
 async function setupWorker() {
+    await gameState.transport.connect(showStatus);
+    gameState.connected = true;
+}
+
+// Send a request to the game worker
+// Every request is scoped to the room we picked
+async function workerFetch(path, options = {}) {
+    let url = path;
+    if (gameState.room) {
+        url += `${path.includes('?') ? '&' : '?'}room=${encodeURIComponent(gameState.room)}`;
+    }
+    
+    const response = await gameState.transport.fetch(url, options, gameState.user);
+    
+    // Remember rate limits so callers can hold off instead of retrying at once
+    if (response.status === 429) {
+        const seconds = Number(response.headers.get('Retry-After')) || 1;
+        gameState.backoffUntil[path.split('?')[0]] = Date.now() + seconds * 1000;
+    }
+    
+    return response;
+}
+
+// Milliseconds until the worker will accept calls to a path again
+function backoffRemaining(path) {
+    return Math.max(0, (gameState.backoffUntil[path] || 0) - Date.now());
+}
+
+async function initializePlayer() {
+    // Ask to rejoin where we left this room; the worker decides either way
+    const lastPosition = gameState.profile && gameState.profile.lastPosition;
+    if (lastPosition && lastPosition.room === gameState.room) {
+        gameState.playerPosition = { x: lastPosition.x, y: lastPosition.y };
+    }
+    
+    // Join the room; the worker refuses if it is already full
+    gameState.inputSeq = 0;
+    gameState.pendingInputs = [];
+    const response = await postPlayerPosition();
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.message || data.error);
+    }
+    
+    // The worker places new players at the spawn point and returning ones where they left
+    gameState.playerPosition = { ...data.position };
+    gameState.renderPosition = { ...data.position };
+    if (data.world) {
+        gameState.world = data.world;
+    }
+}
+
+// Fetch the room's tile map and hand it to the renderer
+async function loadMap() {
+    const response = await workerFetch('/api/map');
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.message || data.error);
+    }
+    
+    gameState.map = data.map;
+    gameState.renderer.setMap(data.map, gameState.world);
+}
+
+// The same check the worker makes: a player overlaps no blocked tile
+function isOpenPosition(x, y) {
+    const map = gameState.map;
+    if (!map) return true;
+    
+    const half = PLAYER_SIZE / 2 - 1;
+    return [[-half, -half], [half, -half], [-half, half], [half, half]].every(([dx, dy]) => {
+        const row = map.rows[Math.floor((y + dy) / map.tileSize)];
+        const tile = row && map.tiles[row[Math.floor((x + dx) / map.tileSize)]];
+        return Boolean(tile) && !tile.blocked;
+    });
+}
+
+// Without a seq (when joining, or before our first move) the worker starts
+// counting our inputs over
+function postPlayerPosition(seq) {
+    return workerFetch('/api/player/position', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            x: gameState.playerPosition.x,
+            y: gameState.playerPosition.y,
+            emoji: gameState.selectedEmoji,
+            seq: seq
+        })
+    });
+}
+
+// Send our position. Only one update is in flight at a time and none are
+// sent while rate limited; moves made meanwhile go out in the next update.
+async function updatePlayerPosition() {
+    if (!gameState.connected) return;
+    
+    if (gameState.positionInFlight) {
+        gameState.positionPending = true;
+        return;
+    }
+    
+    const wait = backoffRemaining('/api/player/position');
+    if (wait > 0) {
+        schedulePositionUpdate(wait);
+        return;
+    }
+    
+    gameState.positionInFlight = true;
     try {
-        // If worker URL is already configured, use it
-        if (gameState.workerUrl) {
-            console.log('Using configured worker URL:', gameState.workerUrl);
-            await testWorkerConnection();
+        const response = await postPlayerPosition(gameState.inputSeq || undefined);
+        const data = await response.json();
+        
+        if (response.status === 429) {
+            schedulePositionUpdate(backoffRemaining('/api/player/position'));
             return;
         }
         
-        // If auto-deploy is disabled but no URL provided, throw error
-        if (!GAME_CONFIG.autoDeployWorker) {
-            throw new Error('Worker URL not configured and auto-deploy is disabled. Please set GAME_CONFIG.workerUrl');
+        if (!response.ok) {
+            handleRejection(data);
+            return;
         }
         
-        // Auto-deploy worker if enabled
-        await deployWorker();
+        setLocalPresence('active');
+        reconcile(data);
+        pickUpNearbyItems();
         
+        // An admin changed the map since we loaded it
+        if (gameState.map && data.mapVersion !== undefined && data.mapVersion !== gameState.map.version) {
+            loadMap().catch(error => console.error('Failed to load map:', error));
+        }
     } catch (error) {
-        console.error('Worker setup error:', error);
-        throw error;
+        console.error('Failed to update position:', error);
+    } finally {
+        gameState.positionInFlight = false;
+        if (gameState.positionPending) {
+            gameState.positionPending = false;
+            updatePlayerPosition();
+        }
     }
 }
 
-async function testWorkerConnection() {
+// The worker's position is where we are after input data.seq. Moves it
+// hasn't seen yet are replayed on top of it, so we neither jump back to an
+// older position nor drift away from where other players see us.
+function reconcile({ position, seq }) {
+    if (!position) return;
+    
+    // A worker deployed before inputs were numbered has applied everything we sent
+    const acknowledged = seq === undefined ? gameState.inputSeq : seq || 0;
+    gameState.pendingInputs = gameState.pendingInputs.filter(input => input.seq > acknowledged);
+    
+    const predicted = gameState.pendingInputs.reduce(applyInput, { x: position.x, y: position.y });
+    setLocalPlayerPosition(predicted.x, predicted.y);
+}
+
+// Where one step takes us: inside the world and, as the worker checks too,
+// never into walls or water
+function applyInput(position, input) {
+    const x = Math.min(gameState.world.width - PLAYER_SIZE/2, Math.max(PLAYER_SIZE/2, position.x + input.dx));
+    const y = Math.min(gameState.world.height - PLAYER_SIZE/2, Math.max(PLAYER_SIZE/2, position.y + input.dy));
+    return isOpenPosition(x, y) ? { x, y } : { x: position.x, y: position.y };
+}
+
+function schedulePositionUpdate(delay) {
+    if (gameState.positionTimer) return;
+    gameState.positionTimer = setTimeout(() => {
+        gameState.positionTimer = null;
+        if (gameState.gameStarted) updatePlayerPosition();
+    }, delay);
+}
+
+// The area to fetch players for: the viewport plus AOI_MARGIN, centred on a
+// coarse grid so it only changes every AOI_STEP pixels of camera movement
+function getAreaOfInterest() {
+    const viewport = getViewportSize();
+    return {
+        x: Math.round((gameState.camera.x + viewport.width / 2) / AOI_STEP) * AOI_STEP,
+        y: Math.round((gameState.camera.y + viewport.height / 2) / AOI_STEP) * AOI_STEP,
+        width: viewport.width + AOI_MARGIN * 2,
+        height: viewport.height + AOI_MARGIN * 2
+    };
+}
+
+function getAreaQuery() {
+    const area = getAreaOfInterest();
+    return `x=${area.x}&y=${area.y}&width=${area.width}&height=${area.height}`;
+}
+
+// The players cursor to send for an area: a cursor only covers the area it
+// was taken for, so start over when it moves
+function playersCursorFor(areaQuery) {
+    return areaQuery === gameState.playersArea && gameState.playersCursor ? `&since=${gameState.playersCursor}` : '';
+}
+
+async function fetchPlayers() {
+    if (!gameState.connected) return;
+    
     try {
-        const response = await puter.workers.exec(`${gameState.workerUrl}/health`);
+        const areaQuery = getAreaQuery();
+        const response = await workerFetch(`/api/players?${areaQuery}${playersCursorFor(areaQuery)}`);
         const data = await response.json();
-        console.log('Worker connection test successful:', data);
+        
+        applyPlayersUpdate(data, areaQuery);
+        onlineCount.textContent = `Players nearby: ${data.count}`;
+        
     } catch (error) {
-        console.error('Worker connection test failed:', error);
-        throw new Error('Failed to connect to worker. Please check the worker URL.');
+        console.error('Failed to fetch players:', error);
     }
 }
 
-async function deployWorker() {
+// Apply an /api/players response (or the players part of /api/sync)
+function applyPlayersUpdate(data, areaQuery) {
+    updatePlayersDisplay(data);
+    gameState.playersCursor = data.cursor;
+    
+    // We were taken out of the room (timed out, kicked or banned). Posting our
+    // position rejoins, or tells us why we can't.
+    const ownId = gameState.user.uuid;
+    if (data.removed.includes(ownId) || (data.full && !data.players.some(player => player.id === ownId))) {
+        updatePlayerPosition();
+    }
+    gameState.playersArea = areaQuery;
+}
+
+async function fetchChatMessages() {
+    if (!gameState.connected) return;
+    
     try {
-        showStatus('Setting up game server...');
+        const query = gameState.lastChatSeq !== null ? `?after=${gameState.lastChatSeq}` : '';
+        const response = await workerFetch(`/api/chat${query}`);
+        applyChatUpdate(await response.json());
         
-        // Check if worker already exists
-        const workers = await puter.workers.list();
-        const existingWorker = workers.find(w => w.name === 'mmo-game');
-        
-        if (existingWorker) {
-            gameState.workerUrl = existingWorker.url;
-            console.log('Using existing worker:', gameState.workerUrl);
-            await testWorkerConnection();
-            return;
+    } catch (error) {
+        console.error('Failed to fetch chat:', error);
+    }
+}
+
+// Apply an /api/chat response (or the chat part of /api/sync)
+function applyChatUpdate(data) {
+    if (data.skipped > 0) {
+        addChatMessage('System', `${data.skipped} message(s) arrived too quickly to show`);
+    }
+    
+    // The worker only sends messages after our cursor, but a slow poll can
+    // overlap the next one, so skip anything another poll already showed
+    data.messages.forEach(msg => {
+        if (gameState.lastChatSeq === null || msg.seq > gameState.lastChatSeq) {
+            // Announcements come from the worker itself, e.g. tag results
+            addChatMessage(msg.username, msg.message, msg.timestamp, msg.id, {
+                channel: msg.kind === 'announcement' ? 'system' : msg.channel,
+                recipient: msg.recipient,
+                kind: msg.kind
+            });
         }
+    });
+    gameState.lastChatSeq = Math.max(gameState.lastChatSeq || 0, data.lastSeq);
+}
+
+// Keep players and chat up to date with /api/sync, which the worker holds
+// open until something changes. Workers without it answer 404, and we go
+// back to polling /api/players and /api/chat every UPDATE_INTERVAL.
+async function runSync() {
+    const controller = new AbortController();
+    gameState.syncController = controller;
+    gameState.syncMode = 'long-poll';
+    
+    while (gameState.gameStarted && gameState.syncController === controller) {
+        const started = Date.now();
+        let retryDelay = 0;
         
-        // Read the standalone worker file
-        let workerCode;
         try {
-            const workerFile = await puter.fs.read('mmo.js');
-            workerCode = await workerFile.text();
+            const areaQuery = getAreaQuery();
+            const chatQuery = gameState.lastChatSeq !== null ? `&after=${gameState.lastChatSeq}` : '';
+            gameState.syncArea = areaQuery;
+            
+            const response = await workerFetch(`/api/sync?${areaQuery}${playersCursorFor(areaQuery)}${chatQuery}`, {
+                signal: controller.signal
+            });
+            if (controller.signal.aborted) return;
+            
+            if (response.status === 404) {
+                gameState.syncMode = 'poll';
+                gameState.syncController = null;
+                return;
+            }
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+            
+            applyPlayersUpdate(data.players, areaQuery);
+            applyChatUpdate(data.chat);
+            onlineCount.textContent = `Players nearby: ${data.players.count} of ${data.stats.activePlayers}`;
+            
         } catch (error) {
-            console.warn('Could not read mmo.js file, using embedded worker code');
-            // Fallback to embedded worker code for backward compatibility
-            workerCode = await getEmbeddedWorkerCode();
+            if (controller.signal.aborted) return;
+            console.error('Failed to sync:', error);
+            retryDelay = Math.max(SYNC_RETRY_DELAY, backoffRemaining('/api/sync'));
         }
         
-        // Write worker file to user's storage
-        await puter.fs.write('mmo-worker.js', workerCode);
-        
-        // Deploy worker
-        showStatus('Deploying game server...');
-        const deployment = await puter.workers.create('mmo-game', 'mmo-worker.js');
-        gameState.workerUrl = deployment.url;
-        
-        console.log('Worker deployed:', gameState.workerUrl);
-        
-        // Wait for worker to be ready
-        showStatus('Initializing game server...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        // Test connection
-        await testWorkerConnection();
-        
-    } catch (error) {
-        console.error('Worker deployment error:', error);
-        throw error;
+        // Busy rooms answer at once, so don't ask more often than SYNC_MIN_INTERVAL
+        const wait = Math.max(retryDelay, SYNC_MIN_INTERVAL - (Date.now() - started));
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
     }
 }
 
-async function getEmbeddedWorkerCode() {
-    // Embedded worker code as fallback
-    return `
-// MMO Game Worker - handles player positions and chat
-const players = new Map();
-const chatHistory = [];
+function stopSync() {
+    if (gameState.syncController) {
+        gameState.syncController.abort();
+        gameState.syncController = null;
+    }
+    gameState.syncMode = null;
+    gameState.syncArea = null;
+}
 
-// Get all players
-router.get('/api/players', async ({ request }) => {
-    const playerList = Array.from(players.values());
-    return {
-        players: playerList,
-        count: playerList.length,
-        timestamp: Date.now()
-    };
-});
+// A held request only covers the area it asked about. Once the camera has
+// moved on, drop it and ask about the new one.
+function checkSyncArea() {
+    if (gameState.syncMode === 'long-poll' && gameState.syncArea && gameState.syncArea !== getAreaQuery()) {
+        stopSync();
+        runSync();
+    }
+}
 
-// Update player position
-router.post('/api/player/position', async ({ request, user }) => {
-    if (!user || !user.puter) {
-        return new Response(JSON.stringify({ error: 'Authentication required' }), {
-            status: 401,
-            headers: { 'Content-Type': 'application/json' }
+// Apply a full or delta /api/players response. Nothing is drawn here; the
+// render loop draws players between their snapshots.
+function updatePlayersDisplay({ players, removed = [], full, timestamp }) {
+    gameState.clockOffset = Date.now() - timestamp;
+    
+    // A full list replaces everything, so drop players that are no longer in it
+    if (full) {
+        const listedIds = new Set(players.map(player => player.id));
+        gameState.players.forEach((player, playerId) => {
+            if (!listedIds.has(playerId)) {
+                removePlayer(playerId);
+            }
         });
     }
     
-    const { x, y, emoji } = await request.json();
-    const userInfo = await user.puter.auth.getUser();
+    removed.forEach(playerId => removePlayer(playerId));
     
-    players.set(userInfo.uuid, {
-        id: userInfo.uuid,
-        username: userInfo.username,
-        emoji: emoji,
-        x: x,
-        y: y,
-        lastUpdate: Date.now()
+    // Add new players and move the ones that changed
+    players.forEach(player => {
+        if (player.id === gameState.user.uuid) return;
+        
+        const known = gameState.players.get(player.id);
+        gameState.players.set(player.id, { ...player, snapshots: addSnapshot(known, player) });
+        setBubble(player.id, { emote: player.emote, bubble: player.bubble }, timestamp);
     });
+    gameState.lastSyncTime = timestamp;
+}
+
+// Snapshots are timed by the worker's lastUpdate. A player still standing
+// where they were at our last sync only started moving after it, so that
+// spot is added as a snapshot at the sync's time; otherwise they would glide
+// all the way from wherever they stopped, however long ago.
+function addSnapshot(known, player) {
+    const snapshots = known ? known.snapshots.slice(-MAX_SNAPSHOTS) : [];
+    const last = snapshots[snapshots.length - 1];
     
-    return { success: true };
-});
+    // Delta syncs overlap a little, so the same update can come twice
+    if (last && player.lastUpdate <= last.time) return snapshots;
+    
+    const syncTime = gameState.lastSyncTime;
+    if (last && syncTime && last.time < syncTime && syncTime < player.lastUpdate) {
+        snapshots.push({ x: last.x, y: last.y, time: syncTime });
+    }
+    snapshots.push({ x: player.x, y: player.y, time: player.lastUpdate });
+    return snapshots;
+}
 
-// Get chat messages
-router.get('/api/chat', async ({ request }) => {
-    return {
-        messages: chatHistory.slice(-50),
-        timestamp: Date.now()
-    };
-});
+async function fetchItems() {
+    if (!gameState.connected) return;
+    
+    try {
+        const response = await workerFetch('/api/items');
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        gameState.pickupRange = data.pickupRange;
+        updateItems(data.items);
+        pickUpNearbyItems();
+    } catch (error) {
+        console.error('Failed to fetch items:', error);
+    }
+}
 
-// Send chat message
-router.post('/api/chat', async ({ request, user }) => {
-    if (!user || !user.puter) {
-        return new Response(JSON.stringify({ error: 'Authentication required' }), {
-            status: 401,
-            headers: { 'Content-Type': 'application/json' }
+// The worker lists every item in the room, so anything missing was taken
+function updateItems(items) {
+    gameState.items = new Map(items.map(item => [item.id, item]));
+}
+
+// Walking onto an item picks it up. The worker measures from the position it
+// has stored for us, so this runs after a position update is answered.
+function pickUpNearbyItems() {
+    gameState.items.forEach(item => {
+        const distance = Math.hypot(item.x - gameState.playerPosition.x, item.y - gameState.playerPosition.y);
+        if (distance <= gameState.pickupRange && !gameState.pickupsInFlight.has(item.id)) {
+            pickUpItem(item);
+        }
+    });
+}
+
+async function pickUpItem(item) {
+    gameState.pickupsInFlight.add(item.id);
+    try {
+        const response = await workerFetch('/api/items/pickup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ itemId: item.id })
         });
+        const data = await response.json();
+        
+        // Gone or taken by someone else: either way it's not there any more
+        if (response.ok || response.status === 404 || response.status === 409) {
+            gameState.items.delete(item.id);
+        }
+        if (response.ok) {
+            renderInventory(data.inventory);
+            addChatMessage('System', `You picked up ${data.item.emoji}`);
+        }
+    } catch (error) {
+        console.error('Failed to pick up item:', error);
+    } finally {
+        gameState.pickupsInFlight.delete(item.id);
+    }
+}
+
+async function loadInventory() {
+    try {
+        const response = await workerFetch('/api/inventory');
+        if (response.ok) {
+            const data = await response.json();
+            renderInventory(data.items);
+        }
+    } catch (error) {
+        console.error('Failed to load inventory:', error);
+    }
+}
+
+function renderInventory(items) {
+    inventoryList.textContent = '';
+    if (items.length === 0) {
+        inventoryList.textContent = 'Walk over items to pick them up';
+        return;
     }
     
-    const { message } = await request.json();
-    const userInfo = await user.puter.auth.getUser();
+    items.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'inventory-item';
+        row.textContent = `${entry.emoji} ${entry.name}`;
+        
+        const count = document.createElement('span');
+        count.className = 'inventory-count';
+        count.textContent = entry.count;
+        row.appendChild(count);
+        
+        inventoryList.appendChild(row);
+    });
+}
+
+async function fetchLeaderboard() {
+    if (!gameState.connected) return;
     
-    if (!message || message.trim().length === 0) {
-        return new Response(JSON.stringify({ error: 'Message cannot be empty' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json' }
-        });
+    try {
+        const query = `stat=${leaderboardStat.value}&period=${leaderboardPeriod.value}`;
+        const response = await workerFetch('/api/leaderboard?' + query);
+        if (response.ok) {
+            renderLeaderboard(await response.json());
+        }
+    } catch (error) {
+        console.error('Failed to fetch leaderboard:', error);
+    }
+}
+
+function renderLeaderboard({ entries, unit, you }) {
+    leaderboardList.textContent = '';
+    if (entries.length === 0) {
+        leaderboardList.textContent = 'No scores yet';
     }
     
-    const chatMessage = {
-        id: Date.now() + Math.random(),
-        username: userInfo.username,
-        message: message.trim(),
-        timestamp: new Date().toISOString()
-    };
-    
-    chatHistory.push(chatMessage);
+    entries.forEach(entry => {
+        const row = document.createElement('li');
+        row.className = 'leaderboard-entry';
+        if (entry.username === gameState.user.username) {
+            row.classList.add('leaderboard-self');
+        }
+        row.textContent = `${entry.rank}. ${entry.emoji || ''} ${entry.username}`;
+        
+        const value = document.createElement('span');
+        value.className = 'leaderboard-value';
+        value.textContent = formatScore(entry.value, unit);
+        row.appendChild(value);
+        
+        leaderboardList.appendChild(row);
+    });
     
-    if (chatHistory.length > 100) {
-        chatHistory.shift();
+    leaderboardYou.textContent = you && you.rank
+        ? `You: #${you.rank} (${formatScore(you.value, unit)})`
+        : 'You: not ranked yet';
+}
+
+function formatScore(value, unit) {
+    if (unit === 'ms') {
+        const minutes = Math.floor(value / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
     }
-    
-    return { success: true, message: chatMessage };
-});
+    if (unit === 'px') {
+        return value >= 1000 ? `${(value / 1000).toFixed(1)}k px` : `${value} px`;
+    }
+    return String(value);
+}
 
-// Remove inactive players
-router.post('/api/cleanup', async ({ request }) => {
-    const now = Date.now();
-    const timeout = 30000;
+async function fetchTag() {
+    if (!gameState.connected) return;
     
-    for (const [id, player] of players.entries()) {
-        if (now - player.lastUpdate > timeout) {
-            players.delete(id);
+    try {
+        const response = await workerFetch('/api/tag');
+        if (response.ok) {
+            updateTag(await response.json());
         }
+    } catch (error) {
+        console.error('Failed to fetch tag:', error);
+    }
+}
+
+function updateTag(tag) {
+    const previous = gameState.tag;
+    gameState.tag = tag;
+    gameState.tagFetchedAt = Date.now();
+    
+    // Only show results for a round we saw being played, not one that ended
+    // before we joined
+    if (previous && previous.status === 'running' && tag.status === 'ended' && tag.round === previous.round) {
+        showTagResults(tag);
     }
     
-    return { cleaned: true };
-});
+    tagOptOutBtn.textContent = tag.optedOut ? 'Play tag' : 'Sit out tag';
+    renderTagStatus();
+}
 
-// Health check
-router.get('/health', async () => {
-    return { status: 'ok', players: players.size, messages: chatHistory.length };
-});
+function isIt(playerId) {
+    const tag = gameState.tag;
+    return Boolean(tag && tag.status === 'running' && tag.it.id === playerId);
+}
 
-// 404 handler
-router.get('/*path', async ({ params }) => {
-    return new Response(JSON.stringify({
-        error: 'Not found',
-        path: params.path
-    }), {
-        status: 404,
-        headers: { 'Content-Type': 'application/json' }
-    });
-});
-`;
+// Counts down from the last poll, so the timer ticks between them
+function renderTagStatus() {
+    const tag = gameState.tag;
+    tagStatus.classList.toggle('tag-it', isIt(gameState.user.uuid));
+    if (!tag) {
+        tagStatus.textContent = '';
+        return;
+    }
+    
+    const elapsed = Date.now() - gameState.tagFetchedAt;
+    if (tag.optedOut) {
+        tagStatus.textContent = '🏷️ Sitting out tag';
+    } else if (tag.status === 'running') {
+        const seconds = Math.max(0, Math.ceil((tag.timeLeft - elapsed) / 1000));
+        const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        const it = isIt(gameState.user.uuid) ? 'You are' : `${tag.it.username} is`;
+        tagStatus.textContent = `🏷️ ${it} it · ${clock}`;
+    } else if (tag.nextRoundAt > Date.now()) {
+        const seconds = Math.max(0, Math.ceil((tag.nextRoundAt - Date.now()) / 1000));
+        tagStatus.textContent = `🏷️ Next round in ${seconds}s`;
+    } else {
+        tagStatus.textContent = `🏷️ Waiting for ${tag.minPlayers} players`;
+    }
 }
 
-async function initializePlayer() {
-    // Update player position on server
-    await updatePlayerPosition();
+function showTagResults(tag) {
+    tagResultsTitle.textContent = `Round ${tag.round} of tag is over`;
+    tagResultsList.textContent = '';
+    tag.results.forEach(result => {
+        const row = document.createElement('li');
+        row.textContent = `${result.username}: ${Math.round(result.itTime / 1000)}s as it, ${result.tags} tag(s)`;
+        if (result.id === gameState.user.uuid) {
+            row.classList.add('tag-self');
+        }
+        tagResultsList.appendChild(row);
+    });
+    tagResults.style.display = '';
 }
 
-async function updatePlayerPosition() {
-    if (!gameState.workerUrl) return;
+async function toggleTagOptOut() {
+    if (!gameState.tag) return;
     
     try {
-        await puter.workers.exec(`${gameState.workerUrl}/api/player/position`, {
+        const response = await workerFetch('/api/tag/opt-out', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                x: gameState.playerPosition.x,
-                y: gameState.playerPosition.y,
-                emoji: gameState.selectedEmoji
-            })
+            body: JSON.stringify({ optOut: !gameState.tag.optedOut })
         });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+        
+        addChatMessage('System', data.optedOut ? 'You are sitting out tag' : 'You are playing tag again');
+        fetchTag();
     } catch (error) {
-        console.error('Failed to update position:', error);
+        addChatMessage('System', `Could not change tag setting: ${error.message}`);
     }
 }
 
-async function fetchPlayers() {
-    if (!gameState.workerUrl) return;
-    
-    try {
-        const response = await puter.workers.exec(`${gameState.workerUrl}/api/players`);
-        const data = await response.json();
-        
-        updatePlayersDisplay(data.players);
-        onlineCount.textContent = `Players online: ${data.count}`;
-        
-    } catch (error) {
-        console.error('Failed to fetch players:', error);
+function removePlayer(playerId) {
+    gameState.players.delete(playerId);
+    gameState.bubbles.delete(playerId);
+    if (gameState.selectedPlayerId === playerId) {
+        gameState.selectedPlayerId = null;
     }
 }
 
-async function fetchChatMessages() {
-    if (!gameState.workerUrl) return;
-    
+async function loadEmotes() {
     try {
-        const response = await puter.workers.exec(`${gameState.workerUrl}/api/chat`);
-        const data = await response.json();
+        const response = await workerFetch('/api/emotes');
+        if (!response.ok) return;
         
-        // Only add new messages
-        data.messages.forEach(msg => {
-            if (!document.querySelector(`[data-message-id="${msg.id}"]`)) {
-                addChatMessage(msg.username, msg.message, msg.timestamp, msg.id);
-            }
+        const data = await response.json();
+        gameState.emotes = data.emotes;
+        emoteBar.textContent = '';
+        data.emotes.forEach(emote => {
+            const button = document.createElement('button');
+            button.className = 'emote-btn';
+            button.textContent = emote.emoji;
+            button.title = emote.name;
+            button.addEventListener('click', () => {
+                sendEmote(emote.name).catch(error => addChatMessage('System', error.message));
+            });
+            emoteBar.appendChild(button);
         });
-        
     } catch (error) {
-        console.error('Failed to fetch chat:', error);
+        console.error('Failed to load emotes:', error);
     }
 }
 
-function updatePlayersDisplay(players) {
-    // Clear existing players except current player
-    const existingPlayers = gameGrid.querySelectorAll('.player');
-    existingPlayers.forEach(player => {
-        if (player.dataset.playerId !== gameState.user.uuid) {
-            player.remove();
-        }
+async function sendEmote(name) {
+    const response = await workerFetch('/api/player/emote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ emote: name })
     });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || data.error);
     
-    // Add/update players
-    players.forEach(player => {
-        if (player.id !== gameState.user.uuid) {
-            createPlayerElement(player.id, player.emoji, { x: player.x, y: player.y });
+    setBubble(gameState.user.uuid, { emote: data.emote }, data.timestamp);
+}
+
+// Emotes and chat bubbles float over avatars. Each player has at most one
+// bubble, holding their emote, their last chat line or both. effects may
+// hold just one of the two; the other is kept. Expiry times are the worker's,
+// so they're shifted by how far our clock is from its clock (serverTime is
+// the worker's time when it sent them).
+function setBubble(playerId, effects, serverTime) {
+    const offset = Date.now() - serverTime;
+    const entry = gameState.bubbles.get(playerId) || { emote: null, bubble: null };
+    
+    // Delta syncs resend players whenever they move; only take changes
+    const changed = ['emote', 'bubble'].some(field =>
+        field in effects && expiryOf(effects[field]) !== expiryOf(entry[field]));
+    if (!changed) return;
+    
+    ['emote', 'bubble'].forEach(field => {
+        if (field in effects) {
+            entry[field] = effects[field] ? { ...effects[field], hideAt: effects[field].expiresAt + offset } : null;
         }
     });
+    gameState.bubbles.set(playerId, entry);
 }
 
-function createPlayerElement(playerId, emoji, position) {
-    let playerElement = document.querySelector(`[data-player-id="${playerId}"]`);
+function expiryOf(effect) {
+    return effect ? effect.expiresAt : null;
+}
+
+function setLocalPlayerPosition(x, y) {
+    gameState.playerPosition.x = x;
+    gameState.playerPosition.y = y;
+}
+
+function setLocalPresence(presence) {
+    gameState.localPresence = presence;
+}
+
+function getViewportSize() {
+    return { width: gameGrid.clientWidth, height: gameGrid.clientHeight };
+}
+
+// Keep the local player centred, but never show past the edge of the world
+function updateCamera(position) {
+    const viewport = getViewportSize();
+    const maxX = Math.max(0, gameState.world.width - viewport.width);
+    const maxY = Math.max(0, gameState.world.height - viewport.height);
+    
+    gameState.camera.x = Math.round(Math.min(maxX, Math.max(0, position.x - viewport.width / 2)));
+    gameState.camera.y = Math.round(Math.min(maxY, Math.max(0, position.y - viewport.height / 2)));
+}
+
+function startRenderLoop() {
+    let lastFrame = performance.now();
+    const frame = (time) => {
+        if (!gameState.gameStarted) return;
+        
+        moveFromInput(Date.now());
+        glideLocalPlayer(time - lastFrame);
+        lastFrame = time;
+        gameState.renderer.render(buildScene(Date.now()));
+        gameState.animationFrame = requestAnimationFrame(frame);
+    };
+    gameState.animationFrame = requestAnimationFrame(frame);
+}
+
+// Our own moves are drawn at once, but glide over one step instead of jumping
+// MOVE_SPEED pixels. Anything further away (a correction) is snapped to.
+function glideLocalPlayer(elapsed) {
+    const target = gameState.playerPosition;
+    const drawn = gameState.renderPosition;
+    const distance = Math.hypot(target.x - drawn.x, target.y - drawn.y);
     
-    if (!playerElement) {
-        playerElement = document.createElement('div');
-        playerElement.className = 'player';
-        playerElement.dataset.playerId = playerId;
-        gameGrid.appendChild(playerElement);
+    if (distance > MOVE_SPEED * 3 || distance < 0.5) {
+        gameState.renderPosition = { x: target.x, y: target.y };
+        return;
     }
     
-    playerElement.textContent = emoji;
-    playerElement.style.left = (position.x - PLAYER_SIZE/2) + 'px';
-    playerElement.style.top = (position.y - PLAYER_SIZE/2) + 'px';
+    const progress = Math.min(1, elapsed / MOVE_INTERVAL);
+    drawn.x += (target.x - drawn.x) * progress;
+    drawn.y += (target.y - drawn.y) * progress;
 }
 
-function handleKeyPress(e) {
-    if (!gameState.gameStarted) return;
+// Everything the renderer draws this frame, see renderer.js
+function buildScene(now) {
+    const ownId = gameState.user.uuid;
+    updateCamera(gameState.renderPosition);
     
-    let newX = gameState.playerPosition.x;
-    let newY = gameState.playerPosition.y;
-    
-    switch(e.key) {
-        case 'ArrowUp':
-            newY = Math.max(PLAYER_SIZE/2, newY - MOVE_SPEED);
-            break;
-        case 'ArrowDown':
-            newY = Math.min(GRID_SIZE - PLAYER_SIZE/2, newY + MOVE_SPEED);
-            break;
-        case 'ArrowLeft':
-            newX = Math.max(PLAYER_SIZE/2, newX - MOVE_SPEED);
-            break;
-        case 'ArrowRight':
-            newX = Math.min(GRID_SIZE - PLAYER_SIZE/2, newX + MOVE_SPEED);
-            break;
-        default:
+    // Remote players as they were INTERPOLATION_DELAY ago, in the worker's time
+    const renderTime = now - gameState.clockOffset - INTERPOLATION_DELAY;
+    const players = Array.from(gameState.players.values()).map(player => ({
+        id: player.id,
+        username: player.username,
+        emoji: player.emoji,
+        ...interpolatePosition(player.snapshots, renderTime),
+        presence: player.presence,
+        isLocal: false,
+        isIt: isIt(player.id),
+        selected: gameState.selectedPlayerId === player.id
+    }));
+    players.push({
+        id: ownId,
+        username: gameState.user.username,
+        emoji: gameState.selectedEmoji,
+        x: gameState.renderPosition.x,
+        y: gameState.renderPosition.y,
+        presence: gameState.localPresence,
+        isLocal: true,
+        isIt: isIt(ownId),
+        selected: gameState.selectedPlayerId === ownId
+    });
+    
+    return {
+        camera: { ...gameState.camera },
+        players: players,
+        items: Array.from(gameState.items.values()),
+        bubbles: visibleBubbles(now)
+    };
+}
+
+// Bubbles still showing, fading out over their last BUBBLE_FADE ms
+function visibleBubbles(now) {
+    const bubbles = [];
+    gameState.bubbles.forEach((entry, playerId) => {
+        const emote = entry.emote && entry.emote.hideAt > now ? entry.emote : null;
+        const bubble = entry.bubble && entry.bubble.hideAt > now ? entry.bubble : null;
+        if (!emote && !bubble) {
+            gameState.bubbles.delete(playerId);
             return;
-    }
+        }
+        
+        const hideAt = Math.max(emote ? emote.hideAt : 0, bubble ? bubble.hideAt : 0);
+        bubbles.push({
+            playerId: playerId,
+            emote: emote && emote.emoji,
+            text: bubble && bubble.text,
+            kind: bubble && bubble.kind,
+            opacity: Math.min(1, (hideAt - now) / BUBBLE_FADE)
+        });
+    });
+    return bubbles;
+}
+
+// Select the player under the click, or clear the selection. Selecting
+// another player also makes them the whisper recipient.
+function handleWorldClick(e) {
+    if (!gameState.gameStarted) return;
+    
+    const bounds = gameGrid.getBoundingClientRect();
+    const x = gameState.camera.x + e.clientX - bounds.left - gameGrid.clientLeft;
+    const y = gameState.camera.y + e.clientY - bounds.top - gameGrid.clientTop;
     
-    // Update position
-    gameState.playerPosition.x = newX;
-    gameState.playerPosition.y = newY;
+    const players = buildScene(Date.now()).players;
+    const clicked = players
+        .map(player => ({ player, distance: Math.hypot(player.x - x, player.y - y) }))
+        .filter(({ distance }) => distance <= PLAYER_SIZE)
+        .sort((a, b) => a.distance - b.distance)[0];
     
-    // Update visual position
-    const playerElement = document.querySelector(`[data-player-id="${gameState.user.uuid}"]`);
-    if (playerElement) {
-        playerElement.style.left = (newX - PLAYER_SIZE/2) + 'px';
-        playerElement.style.top = (newY - PLAYER_SIZE/2) + 'px';
+    gameState.selectedPlayerId = clicked ? clicked.player.id : null;
+    if (clicked && !clicked.player.isLocal) {
+        chatRecipient.value = clicked.player.username;
     }
+}
+
+// Take a step in the direction the input manager reports, for as long as it
+// is held. Steps are MOVE_SPEED long (shorter for a stick pushed part way)
+// and at most one per MOVE_INTERVAL, which keeps below the worker's speed
+// limit diagonally too.
+function moveFromInput(now) {
+    const direction = gameState.input.getDirection();
+    if (!direction.x && !direction.y) return;
+    if (now - gameState.lastMoveTime < MOVE_INTERVAL) return;
+    
+    const dx = Math.round(direction.x * MOVE_SPEED);
+    const dy = Math.round(direction.y * MOVE_SPEED);
+    
+    // Walls, water and the edge of the world don't let us through, but a
+    // diagonal step into a wall slides along it
+    const current = gameState.playerPosition;
+    const input = [{ dx, dy }, { dx, dy: 0 }, { dx: 0, dy }].find(step => {
+        if (!step.dx && !step.dy) return false;
+        const next = applyInput(current, step);
+        return next.x !== current.x || next.y !== current.y;
+    });
+    if (!input) return;
+    
+    const next = applyInput(current, input);
+    gameState.lastMoveTime = now;
+    
+    // Move at once, and keep the input until the worker confirms it
+    gameState.inputSeq++;
+    gameState.pendingInputs.push({ seq: gameState.inputSeq, ...input });
+    setLocalPlayerPosition(next.x, next.y);
     
     // Update server
     updatePlayerPosition();
 }
 
 async function sendChatMessage() {
-    const message = chatInput.value.trim();
-    if (!message || !gameState.workerUrl) return;
+    const input = chatInput.value;
+    if (!input.trim() || !gameState.connected) return;
+    
+    // Slash commands are handled by the command registry (chat-commands.js)
+    if (isChatCommand(input)) {
+        try {
+            await runChatCommand(input);
+            chatInput.value = '';
+        } catch (error) {
+            addChatMessage('System', error.message);
+        }
+        return;
+    }
+    
+    const message = sanitizeChatText(input);
+    const channel = chatChannel.value;
+    const to = chatRecipient.value.trim();
+    if (channel === 'whisper' && !to) {
+        addChatMessage('System', 'Enter the name of the player to whisper to');
+        return;
+    }
+    
+    try {
+        await postChatMessage({ message, channel, to });
+        chatInput.value = '';
+    } catch (error) {
+        addChatMessage('System', error.message);
+    }
+}
+
+// Send a message to POST /api/chat, throwing the worker's error message on failure
+async function postChatMessage({ message, channel = 'global', to, kind = 'text' }) {
+    const wait = backoffRemaining('/api/chat');
+    if (wait > 0) {
+        throw new Error(`Slow down! Try again in ${Math.ceil(wait / 1000)} second(s)`);
+    }
     
+    let response;
     try {
-        const response = await puter.workers.exec(`${gameState.workerUrl}/api/chat`, {
+        response = await workerFetch('/api/chat', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message })
+            body: JSON.stringify({ message: sanitizeChatText(message), channel, to, kind })
         });
-        
-        if (response.ok) {
-            chatInput.value = '';
-        }
-        
     } catch (error) {
         console.error('Failed to send message:', error);
-        addChatMessage('System', 'Failed to send message');
+        throw new Error('Failed to send message');
+    }
+    
+    const data = await response.json();
+    if (!response.ok) {
+        handleRejection(data);
+        throw new Error(data.message || data.error);
+    }
+    
+    // Our own bubble; other players see it through /api/players
+    if (data.bubble) {
+        setBubble(gameState.user.uuid, { bubble: data.bubble }, Date.parse(data.message.timestamp));
+    }
+    return data;
+}
+
+// Banned and kicked players are out of the game; other errors (like muted)
+// are left to the caller to show
+function handleRejection(data) {
+    if (data.code === 'banned' || data.code === 'kicked') {
+        leaveGame(data.message);
+    }
+}
+
+// Stop playing and go back to the splash screen with a reason
+function leaveGame(message) {
+    if (!gameState.gameStarted) return;
+    
+    gameState.gameStarted = false;
+    gameState.loopTimers.forEach(timer => clearInterval(timer));
+    gameState.loopTimers = [];
+    stopSync();
+    gameState.input.detach();
+    
+    gameState.players.clear();
+    gameState.playersCursor = null;
+    gameState.playersArea = null;
+    gameState.map = null;
+    gameState.items.clear();
+    gameState.tag = null;
+    gameState.bubbles.clear();
+    gameState.selectedPlayerId = null;
+    gameState.lastSyncTime = null;
+    cancelAnimationFrame(gameState.animationFrame);
+    gameState.renderer.clear();
+    tagResults.style.display = 'none';
+    
+    gameContainer.style.display = 'none';
+    splashScreen.style.display = '';
+    showStatus(message);
+    loadRooms();
+}
+
+// The simulated backend needs no Puter account, and has bots to add
+function setupDemo() {
+    demoNotice.style.display = '';
+    loginBtn.textContent = 'Play the demo';
+    addBotBtn.style.display = '';
+    addBotBtn.addEventListener('click', addBot);
+    
+    registerChatCommand('bot', {
+        usage: '/bot',
+        description: 'Add a bot to the demo',
+        run: async () => addBot()
+    });
+}
+
+function addBot() {
+    try {
+        const bot = gameState.transport.addBot();
+        addChatMessage('System', `${bot.username} is on the way`);
+    } catch (error) {
+        addChatMessage('System', error.message);
     }
 }
 
-function addChatMessage(username, message, timestamp = null, messageId = null) {
+function registerBuiltInChatCommands() {
+    registerChatCommand('help', {
+        usage: '/help [command]',
+        description: 'List commands, or explain one',
+        run: async ({ args }) => {
+            if (args[0]) {
+                const command = getChatCommand(args[0].replace(/^\//, ''));
+                if (!command) throw new Error(`Unknown command /${args[0]}`);
+                addChatMessage('System', `${command.usage} - ${command.description}`);
+                return;
+            }
+            listChatCommands().forEach(command => {
+                addChatMessage('System', `${command.usage} - ${command.description}`);
+            });
+        }
+    });
+    
+    registerChatCommand('who', {
+        usage: '/who',
+        description: 'List the players who are online',
+        run: async () => {
+            const response = await workerFetch('/api/who');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || data.error);
+            
+            const names = data.players.map(player => `${player.username} ${player.emoji}`);
+            addChatMessage('System', `Online (${data.count}): ${names.join(', ') || 'nobody'}`);
+        }
+    });
+    
+    registerChatCommand('me', {
+        usage: '/me <action>',
+        description: 'Describe what you are doing, e.g. /me waves',
+        run: async ({ argsText }) => {
+            if (!argsText) throw new Error('Usage: /me <action>');
+            await postChatMessage({ message: argsText, kind: 'action' });
+        }
+    });
+    
+    registerChatCommand('w', {
+        usage: '/w <player> <message>',
+        description: 'Whisper to one player',
+        aliases: ['whisper', 'msg'],
+        run: async ({ args, argsText }) => {
+            if (args.length < 2) throw new Error('Usage: /w <player> <message>');
+            const message = argsText.slice(args[0].length).trim();
+            await postChatMessage({ message, channel: 'whisper', to: args[0] });
+        }
+    });
+    
+    registerChatCommand('emote', {
+        usage: '/emote <name>',
+        description: 'Show an emote over your avatar, e.g. /emote wave',
+        run: async ({ args }) => {
+            if (args.length !== 1) {
+                const names = gameState.emotes.map(emote => emote.name).join(', ');
+                throw new Error(`Usage: /emote <name>${names ? ` (${names})` : ''}`);
+            }
+            await sendEmote(args[0].toLowerCase());
+        }
+    });
+    
+    registerChatCommand('keys', {
+        usage: '/keys',
+        description: 'Show the keys you move with',
+        run: async () => {
+            const bindings = gameState.input.getBindings();
+            Object.keys(bindings).forEach(action => {
+                const keys = bindings[action].map(keyNameFromCode).join(', ');
+                addChatMessage('System', `${action}: ${keys || 'unbound'}`);
+            });
+        }
+    });
+    
+    registerChatCommand('bind', {
+        usage: '/bind <up|down|left|right> <key> [key...]',
+        description: 'Choose the keys for a direction, e.g. /bind up W ArrowUp; /bind reset for the defaults',
+        run: async ({ args }) => {
+            if (args.length === 1 && args[0].toLowerCase() === 'reset') {
+                gameState.input.resetBindings();
+                addChatMessage('System', 'Movement keys are back to the arrow keys and WASD');
+                return;
+            }
+            if (args.length < 2) throw new Error('Usage: /bind <up|down|left|right> <key> [key...]');
+            
+            const action = args[0].toLowerCase();
+            const codes = args.slice(1).map(keyCodeFromName);
+            gameState.input.setBinding(action, codes);
+            addChatMessage('System', `${action}: ${codes.map(keyNameFromCode).join(', ')}`);
+        }
+    });
+    
+    registerChatCommand('emoji', {
+        usage: '/emoji <avatar>',
+        description: 'Change your avatar, e.g. /emoji 🦄',
+        run: async ({ args }) => {
+            if (args.length !== 1) throw new Error('Usage: /emoji <avatar>');
+            
+            const response = await workerFetch('/api/player/avatar', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ emoji: args[0] })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || data.error);
+            
+            setLocalAvatar(data.emoji);
+            addChatMessage('System', `Your avatar is now ${data.emoji}`);
+        }
+    });
+    
+    // Moderation - the worker refuses these for anyone who isn't an admin
+    registerChatCommand('mute', {
+        usage: '/mute <player> <minutes> [reason]',
+        description: 'Stop a player chatting for a while (admins)',
+        run: async ({ args }) => {
+            const minutes = Number(args[1]);
+            if (args.length < 2 || !Number.isFinite(minutes)) throw new Error('Usage: /mute <player> <minutes> [reason]');
+            await runAdminAction('mute', { username: args[0], minutes, reason: args.slice(2).join(' ') });
+            addChatMessage('System', `${args[0]} is muted for ${minutes} minute(s)`);
+        }
+    });
+    
+    registerChatCommand('unmute', {
+        usage: '/unmute <player>',
+        description: 'Let a muted player chat again (admins)',
+        run: async ({ args }) => {
+            if (args.length !== 1) throw new Error('Usage: /unmute <player>');
+            await runAdminAction('unmute', { username: args[0] });
+            addChatMessage('System', `${args[0]} can chat again`);
+        }
+    });
+    
+    registerChatCommand('kick', {
+        usage: '/kick <player> [reason]',
+        description: 'Remove a player from the game (admins)',
+        run: async ({ args }) => {
+            if (args.length < 1) throw new Error('Usage: /kick <player> [reason]');
+            await runAdminAction('kick', { username: args[0], reason: args.slice(1).join(' ') });
+            addChatMessage('System', `${args[0]} was kicked`);
+        }
+    });
+    
+    registerChatCommand('ban', {
+        usage: '/ban <player> [reason]',
+        description: 'Ban a player until unbanned (admins)',
+        run: async ({ args }) => {
+            if (args.length < 1) throw new Error('Usage: /ban <player> [reason]');
+            await runAdminAction('ban', { username: args[0], reason: args.slice(1).join(' ') });
+            addChatMessage('System', `${args[0]} is banned`);
+        }
+    });
+    
+    registerChatCommand('unban', {
+        usage: '/unban <player>',
+        description: 'Lift a ban (admins)',
+        run: async ({ args }) => {
+            if (args.length !== 1) throw new Error('Usage: /unban <player>');
+            await runAdminAction('unban', { username: args[0] });
+            addChatMessage('System', `${args[0]} is no longer banned`);
+        }
+    });
+}
+
+async function runAdminAction(action, body) {
+    const response = await workerFetch(`/api/admin/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || data.error);
+    return data;
+}
+
+function setLocalAvatar(emoji) {
+    gameState.selectedEmoji = emoji;
+    updatePlayerInfo();
+}
+
+// Tag shown before say and whisper messages
+function createChannelTag(username, { channel, recipient }) {
+    if (channel !== 'say' && channel !== 'whisper') return null;
+    
+    const tag = document.createElement('span');
+    tag.className = `channel-tag channel-${channel}`;
+    if (channel === 'say') {
+        tag.textContent = '[Say]';
+    } else if (gameState.user && username === gameState.user.username) {
+        tag.textContent = `[To ${recipient}]`;
+    } else {
+        tag.textContent = '[Whisper]';
+    }
+    return tag;
+}
+
+// meta.channel is the message's chat channel; local messages from 'System'
+// are shown in every tab
+function addChatMessage(username, message, timestamp = null, messageId = null, meta = {}) {
+    const channel = meta.channel || (username === 'System' ? 'system' : 'global');
+    
     const messageElement = document.createElement('div');
     messageElement.className = 'message';
+    messageElement.dataset.channel = channel;
     if (messageId) {
         messageElement.dataset.messageId = messageId;
     }
     
     const time = timestamp ? new Date(timestamp).toLocaleTimeString() : new Date().toLocaleTimeString();
+    const currentUsername = gameState.user ? gameState.user.username : null;
+    
+    // Built from text nodes only, so usernames and messages can't inject HTML
+    const timeElement = document.createElement('span');
+    timeElement.className = 'timestamp';
+    timeElement.textContent = `[${time}]`;
     
-    messageElement.innerHTML = `
-        <span class="timestamp">[${time}]</span>
-        <span class="username">${username}:</span>
-        ${message}
-    `;
+    // /me actions read as "* alice waves"
+    const usernameElement = document.createElement('span');
+    usernameElement.className = 'username';
+    if (meta.kind === 'action') {
+        messageElement.classList.add('action');
+        usernameElement.textContent = `* ${username}`;
+    } else if (meta.kind === 'announcement') {
+        messageElement.classList.add('announcement');
+        usernameElement.textContent = `${username}:`;
+    } else {
+        usernameElement.textContent = `${username}:`;
+    }
+    
+    const parts = [timeElement, ' '];
+    const channelTag = createChannelTag(username, { channel, recipient: meta.recipient });
+    if (channelTag) {
+        parts.push(channelTag, ' ');
+    }
+    parts.push(usernameElement, ' ', formatChatMessage(message, { currentUsername }));
+    messageElement.append(...parts);
+    if (username !== currentUsername && chatMentions(message, currentUsername)) {
+        messageElement.classList.add('mentions-me');
+    }
     
     chatMessages.appendChild(messageElement);
     chatMessages.scrollTop = chatMessages.scrollHeight;
@@ -532,31 +1615,69 @@ function addChatMessage(username, message, timestamp = null, messageId = null) {
 }
 
 function startGameLoop() {
-    // Update players and chat every second
-    setInterval(() => {
+    runSync();
+    
+    // Poll players and chat every second when the worker can't long-poll
+    gameState.loopTimers.push(setInterval(() => {
         if (gameState.gameStarted) {
-            fetchPlayers();
-            fetchChatMessages();
-        }
-    }, UPDATE_INTERVAL);
-    
-    // Cleanup inactive players every 30 seconds
-    setInterval(async () => {
-        if (gameState.workerUrl) {
-            try {
-                await puter.workers.exec(`${gameState.workerUrl}/api/cleanup`, {
-                    method: 'POST'
-                });
-            } catch (error) {
-                console.error('Cleanup failed:', error);
+            if (gameState.syncMode === 'poll') {
+                fetchPlayers();
+                fetchChatMessages();
+            } else {
+                checkSyncArea();
             }
+            renderTagStatus();
+        }
+    }, UPDATE_INTERVAL));
+    
+    gameState.loopTimers.push(setInterval(() => {
+        if (gameState.gameStarted) {
+            fetchTag();
         }
-    }, 30000);
+    }, TAG_INTERVAL));
+    
+    gameState.loopTimers.push(setInterval(() => {
+        if (gameState.gameStarted) {
+            fetchItems();
+        }
+    }, ITEMS_INTERVAL));
+    
+    gameState.loopTimers.push(setInterval(() => {
+        if (gameState.gameStarted) {
+            fetchLeaderboard();
+        }
+    }, LEADERBOARD_INTERVAL));
+    
+    // Tell the worker we're still here; it expires players who stop
+    gameState.loopTimers.push(setInterval(sendHeartbeat, HEARTBEAT_INTERVAL));
+}
+
+async function sendHeartbeat() {
+    if (!gameState.gameStarted || !gameState.connected) return;
+    
+    try {
+        const response = await workerFetch('/api/player/heartbeat', {
+            method: 'POST'
+        });
+        if (response.ok) {
+            const { presence } = await response.json();
+            setLocalPresence(presence);
+        } else if (response.status === 404) {
+            // We timed out (the tab was asleep, say), so join again
+            updatePlayerPosition();
+        }
+    } catch (error) {
+        console.error('Heartbeat failed:', error);
+    }
 }
 
 async function handleLogout() {
     try {
-        puter.auth.signOut();
+        // Leaving properly saves our position and play time to the profile
+        if (gameState.gameStarted) {
+            await workerFetch('/api/player/logout', { method: 'POST' });
+        }
+        gameState.transport.auth.signOut();
         location.reload();
     } catch (error) {
         console.error('Logout error:', error);
@@ -564,6 +1685,10 @@ async function handleLogout() {
     }
 }
 
+function updatePlayerInfo() {
+    playerInfo.textContent = `Player: ${gameState.user.username} ${gameState.selectedEmoji} · Room: ${gameState.roomName}`;
+}
+
 function showStatus(message) {
     status.textContent = message;
     status.style.display = 'block';
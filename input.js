@@ -0,0 +1,254 @@
+// Input - turns held keys, the touch joystick and gamepads into a movement
+// direction. game.js creates one input manager and reads its direction every
+// frame:
+//
+//   const input = createInputManager({ container: gameArea });
+//   input.attach();
+//   const { x, y } = input.getDirection(); // each between -1 and 1
+//
+// Keys are matched by KeyboardEvent.code, so bindings follow the key's place
+// on the keyboard rather than the letter printed on it.
+
+const INPUT_ACTIONS = ['up', 'down', 'left', 'right'];
+const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD']
+};
+const KEY_BINDINGS_STORAGE_KEY = 'mmo_key_bindings';
+const JOYSTICK_RADIUS = 50; // pixels the knob can travel from the centre
+const JOYSTICK_DEAD_ZONE = 0.2; // fraction of the radius that counts as standing still
+const GAMEPAD_DEAD_ZONE = 0.25; // sticks rarely rest at exactly 0
+
+function createInputManager({ container, bindings = loadKeyBindings() }) {
+    const heldKeys = new Set();
+    const joystick = { element: null, knob: null, pointerId: null, x: 0, y: 0 };
+    let keyBindings = normalizeBindings(bindings);
+    let attached = false;
+
+    function onKeyDown(e) {
+        if (isTyping(e.target)) return;
+        if (!actionForKey(e.code)) return;
+
+        heldKeys.add(e.code);
+        e.preventDefault(); // arrow keys would scroll the page
+    }
+
+    function onKeyUp(e) {
+        heldKeys.delete(e.code);
+    }
+
+    // Keys released while the page or the game had no focus never send keyup
+    function releaseAll() {
+        heldKeys.clear();
+        releaseJoystick();
+    }
+
+    function onFocusIn(e) {
+        if (isTyping(e.target)) heldKeys.clear();
+    }
+
+    function actionForKey(code) {
+        return INPUT_ACTIONS.find(action => keyBindings[action].includes(code)) || null;
+    }
+
+    function keyDirection() {
+        const held = action => keyBindings[action].some(code => heldKeys.has(code));
+        return {
+            x: (held('right') ? 1 : 0) - (held('left') ? 1 : 0),
+            y: (held('down') ? 1 : 0) - (held('up') ? 1 : 0)
+        };
+    }
+
+    // The on-screen joystick, only added on touch screens
+    function createJoystick() {
+        const element = document.createElement('div');
+        element.className = 'joystick';
+        const knob = document.createElement('div');
+        knob.className = 'joystick-knob';
+        element.appendChild(knob);
+
+        element.addEventListener('pointerdown', e => {
+            joystick.pointerId = e.pointerId;
+            element.setPointerCapture(e.pointerId);
+            moveJoystick(e);
+        });
+        element.addEventListener('pointermove', e => {
+            if (e.pointerId === joystick.pointerId) moveJoystick(e);
+        });
+        element.addEventListener('pointerup', releaseJoystick);
+        element.addEventListener('pointercancel', releaseJoystick);
+
+        joystick.element = element;
+        joystick.knob = knob;
+        container.appendChild(element);
+    }
+
+    function moveJoystick(e) {
+        const bounds = joystick.element.getBoundingClientRect();
+        let dx = e.clientX - (bounds.left + bounds.width / 2);
+        let dy = e.clientY - (bounds.top + bounds.height / 2);
+
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx *= JOYSTICK_RADIUS / distance;
+            dy *= JOYSTICK_RADIUS / distance;
+        }
+
+        joystick.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        const stick = applyDeadZone(dx / JOYSTICK_RADIUS, dy / JOYSTICK_RADIUS, JOYSTICK_DEAD_ZONE);
+        joystick.x = stick.x;
+        joystick.y = stick.y;
+        e.preventDefault();
+    }
+
+    function releaseJoystick() {
+        joystick.pointerId = null;
+        joystick.x = 0;
+        joystick.y = 0;
+        if (joystick.knob) joystick.knob.style.transform = '';
+    }
+
+    // The first connected gamepad's left stick, or its d-pad when the stick is at rest
+    function gamepadDirection() {
+        if (!navigator.getGamepads) return { x: 0, y: 0 };
+
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+        if (!gamepad) return { x: 0, y: 0 };
+
+        const stick = applyDeadZone(gamepad.axes[0] || 0, gamepad.axes[1] || 0, GAMEPAD_DEAD_ZONE);
+        if (stick.x || stick.y) return stick;
+
+        // Standard mapping: buttons 12-15 are d-pad up, down, left and right
+        const pressed = index => Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+        return {
+            x: (pressed(15) ? 1 : 0) - (pressed(14) ? 1 : 0),
+            y: (pressed(13) ? 1 : 0) - (pressed(12) ? 1 : 0)
+        };
+    }
+
+    return {
+        attach() {
+            if (attached) return;
+            attached = true;
+            document.addEventListener('keydown', onKeyDown);
+            document.addEventListener('keyup', onKeyUp);
+            document.addEventListener('focusin', onFocusIn);
+            window.addEventListener('blur', releaseAll);
+
+            if (isTouchDevice() && !joystick.element) createJoystick();
+            if (joystick.element) joystick.element.style.display = '';
+        },
+
+        detach() {
+            if (!attached) return;
+            attached = false;
+            document.removeEventListener('keydown', onKeyDown);
+            document.removeEventListener('keyup', onKeyUp);
+            document.removeEventListener('focusin', onFocusIn);
+            window.removeEventListener('blur', releaseAll);
+
+            releaseAll();
+            if (joystick.element) joystick.element.style.display = 'none';
+        },
+
+        // Where the player wants to go: keys first, then the joystick, then a
+        // gamepad. The length is at most 1, so diagonals are no faster, and
+        // sticks pushed part way give less.
+        getDirection() {
+            if (isTyping(document.activeElement)) return { x: 0, y: 0 };
+
+            const sources = [keyDirection(), { x: joystick.x, y: joystick.y }, gamepadDirection()];
+            const direction = sources.find(source => source.x || source.y) || { x: 0, y: 0 };
+            return clampLength(direction.x, direction.y);
+        },
+
+        getBindings() {
+            return normalizeBindings(keyBindings);
+        },
+
+        // Replace the keys for one action. A key can only do one thing, so it
+        // is taken away from any other action it was bound to.
+        setBinding(action, codes) {
+            if (!INPUT_ACTIONS.includes(action)) {
+                throw new Error(`Unknown action ${action} (${INPUT_ACTIONS.join(', ')})`);
+            }
+
+            INPUT_ACTIONS.forEach(other => {
+                keyBindings[other] = keyBindings[other].filter(code => !codes.includes(code));
+            });
+            keyBindings[action] = codes.slice();
+            heldKeys.clear();
+            saveKeyBindings(keyBindings);
+        },
+
+        resetBindings() {
+            keyBindings = normalizeBindings(DEFAULT_KEY_BINDINGS);
+            heldKeys.clear();
+            saveKeyBindings(keyBindings);
+        }
+    };
+}
+
+// Typing in the chat (or any other field) shouldn't walk the avatar around
+function isTyping(element) {
+    if (!element) return false;
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+function isTouchDevice() {
+    return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+}
+
+function applyDeadZone(x, y, deadZone) {
+    return Math.hypot(x, y) < deadZone ? { x: 0, y: 0 } : { x, y };
+}
+
+function clampLength(x, y) {
+    const length = Math.hypot(x, y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+}
+
+// A copy with every action present, falling back to the defaults
+function normalizeBindings(bindings) {
+    const normalized = {};
+    INPUT_ACTIONS.forEach(action => {
+        const codes = bindings && Array.isArray(bindings[action]) ? bindings[action] : DEFAULT_KEY_BINDINGS[action];
+        normalized[action] = codes.filter(code => typeof code === 'string');
+    });
+    return normalized;
+}
+
+// What /bind accepts: a letter or digit ('w', '8'), an arrow ('up' or
+// 'ArrowUp'), or any KeyboardEvent.code as it is ('Space', 'Numpad8')
+function keyCodeFromName(name) {
+    if (/^[a-z]$/i.test(name)) return `Key${name.toUpperCase()}`;
+    if (/^[0-9]$/.test(name)) return `Digit${name}`;
+
+    const arrow = name.match(/^(?:arrow)?(up|down|left|right)$/i);
+    if (arrow) return `Arrow${arrow[1][0].toUpperCase()}${arrow[1].slice(1).toLowerCase()}`;
+    return name;
+}
+
+function keyNameFromCode(code) {
+    return code.replace(/^(Key|Digit)(?=.$)/, '');
+}
+
+function loadKeyBindings() {
+    try {
+        const saved = localStorage.getItem(KEY_BINDINGS_STORAGE_KEY);
+        return saved ? normalizeBindings(JSON.parse(saved)) : normalizeBindings(DEFAULT_KEY_BINDINGS);
+    } catch (error) {
+        // Storage can be disabled or hold something unreadable
+        return normalizeBindings(DEFAULT_KEY_BINDINGS);
+    }
+}
+
+function saveKeyBindings(bindings) {
+    try {
+        localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.error('Failed to save key bindings:', error);
+    }
+}
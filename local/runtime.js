@@ -0,0 +1,84 @@
+// Local runtime for mmo.js - runs the worker outside of Puter
+// Provides in-memory stand-ins for the globals a deployed Puter worker gets:
+// `router`, `me.puter.kv`, `me.puter.auth` and the per-request `user`
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { LocalRouter, MemoryKV, compilePattern, createUser, createDispatcher } = require('./worker-host');
+
+const DEFAULT_WORKER_PATH = path.join(__dirname, '..', 'mmo.js');
+const DEFAULT_OWNER = { uuid: 'local-owner', username: 'owner' };
+
+// Date replacement driven by a clock object, so tests can move time forward
+function createClockedDate(clock) {
+    return class ClockedDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(clock.now());
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return clock.now();
+        }
+    };
+}
+
+// Load mmo.js into a sandbox wired to the in-memory globals
+function createRuntime(options = {}) {
+    const workerPath = options.workerPath || DEFAULT_WORKER_PATH;
+    const owner = options.owner || DEFAULT_OWNER;
+    const router = new LocalRouter();
+    const kv = options.kv || new MemoryKV();
+
+    const sandbox = {
+        router,
+        me: {
+            puter: {
+                kv,
+                auth: { getUser: async () => ({ ...owner }) }
+            }
+        },
+        console: options.console || console,
+        Response,
+        Request,
+        Headers,
+        URL,
+        URLSearchParams,
+        setTimeout: options.setTimeout || setTimeout,
+        clearTimeout
+    };
+    if (options.clock) {
+        sandbox.Date = createClockedDate(options.clock);
+    }
+
+    const source = fs.readFileSync(workerPath, 'utf8');
+    vm.runInNewContext(source, sandbox, { filename: workerPath });
+
+    const handle = createDispatcher(router, { console: sandbox.console });
+
+    // Convenience wrapper: request('POST', '/api/chat', { body, user })
+    async function request(method, urlPath, { body, user, headers } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            init.body = typeof body === 'string' ? body : JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+        return handle(new Request('http://localhost' + urlPath, init), user);
+    }
+
+    // globals is the worker's global scope, for tests of its helpers
+    return { router, kv, owner, handle, request, globals: sandbox };
+}
+
+module.exports = {
+    LocalRouter,
+    MemoryKV,
+    compilePattern,
+    createUser,
+    createClockedDate,
+    createRuntime
+};
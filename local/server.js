@@ -0,0 +1,91 @@
+// Local HTTP server for mmo.js
+// Usage: node local/server.js [--port 8787] [--worker path/to/mmo.js]
+// Then set GAME_CONFIG.workerUrl = 'http://localhost:8787' and
+// GAME_CONFIG.localRuntime = true in game.js
+
+const http = require('http');
+const { createRuntime, createUser } = require('./runtime');
+
+const DEFAULT_PORT = 8787;
+
+// Requests identify their player with this header instead of a Puter session
+const USER_HEADER = 'x-local-user';
+const USER_ID_HEADER = 'x-local-user-id';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': `Content-Type, ${USER_HEADER}, ${USER_ID_HEADER}`,
+    'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function userFromHeaders(headers) {
+    const username = headers[USER_HEADER];
+    if (!username) return null;
+    return createUser({ uuid: headers[USER_ID_HEADER], username });
+}
+
+function createServer(runtime = createRuntime()) {
+    return http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        try {
+            const body = await readBody(req);
+            const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+                method: req.method,
+                headers: req.headers,
+                body: ['GET', 'HEAD'].includes(req.method) || body.length === 0 ? undefined : body
+            });
+
+            const response = await runtime.handle(request, userFromHeaders(req.headers));
+            const headers = { ...CORS_HEADERS };
+            response.headers.forEach((value, key) => {
+                headers[key] = value;
+            });
+
+            res.writeHead(response.status, headers);
+            res.end(Buffer.from(await response.arrayBuffer()));
+        } catch (error) {
+            console.error('Local server error:', error);
+            res.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Server error', message: error.message }));
+        }
+    });
+}
+
+function parseArgs(argv) {
+    const options = { port: Number(process.env.PORT) || DEFAULT_PORT };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = Number(argv[++i]);
+        } else if (argv[i] === '--worker') {
+            options.workerPath = argv[++i];
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const server = createServer(createRuntime({ workerPath: options.workerPath }));
+
+    server.listen(options.port, () => {
+        console.log(`MMO worker running locally at http://localhost:${options.port}`);
+        console.log(`Send the "${USER_HEADER}" header to act as a signed-in player`);
+    });
+}
+
+module.exports = { createServer, USER_HEADER, USER_ID_HEADER };
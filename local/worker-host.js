@@ -0,0 +1,195 @@
+// Worker host - the parts of a Puter worker's environment that don't need
+// node: the router, an in-memory KV store, fake users and request dispatch.
+// local/runtime.js runs mmo.js on these in node, and the simulated transport
+// (transport.js) runs it in the browser; there they are plain globals.
+
+// Turn a route pattern like '/api/player/:id' or '/*path' into a matcher
+function compilePattern(pattern) {
+    const names = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            if (segment.startsWith('*')) {
+                names.push(segment.slice(1));
+                return '(.*)';
+            }
+            return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    const regex = new RegExp('^' + source + '$');
+
+    return (pathname) => {
+        const match = regex.exec(pathname);
+        if (!match) return null;
+
+        const params = {};
+        names.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return params;
+    };
+}
+
+// Router with the same registration API as the Puter worker router.
+// Routes are matched in registration order, so catch-all patterns go last.
+class LocalRouter {
+    constructor() {
+        this.routes = [];
+    }
+
+    add(method, pattern, handler) {
+        this.routes.push({ method, pattern, match: compilePattern(pattern), handler });
+    }
+
+    get(pattern, handler) {
+        this.add('GET', pattern, handler);
+    }
+
+    post(pattern, handler) {
+        this.add('POST', pattern, handler);
+    }
+
+    put(pattern, handler) {
+        this.add('PUT', pattern, handler);
+    }
+
+    delete(pattern, handler) {
+        this.add('DELETE', pattern, handler);
+    }
+
+    find(method, pathname) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+            const params = route.match(pathname);
+            if (params) {
+                return { route, params };
+            }
+        }
+        return null;
+    }
+}
+
+// In-memory key-value store with the subset of the puter.kv API the worker uses.
+// Values are copied on the way in and out, like a real serialized store.
+class MemoryKV {
+    constructor() {
+        this.data = new Map();
+    }
+
+    async get(key) {
+        return this.data.has(key) ? copy(this.data.get(key)) : null;
+    }
+
+    async set(key, value) {
+        this.data.set(key, copy(value));
+        return true;
+    }
+
+    async del(key) {
+        return this.data.delete(key);
+    }
+
+    async incr(key, amount = 1) {
+        const value = (Number(this.data.get(key)) || 0) + amount;
+        this.data.set(key, value);
+        return value;
+    }
+
+    async decr(key, amount = 1) {
+        return this.incr(key, -amount);
+    }
+
+    async list(pattern = '*', returnValues = false) {
+        const matcher = globToRegExp(pattern);
+        const keys = Array.from(this.data.keys()).filter(key => matcher.test(key)).sort();
+        if (!returnValues) return keys;
+        return keys.map(key => ({ key, value: copy(this.data.get(key)) }));
+    }
+
+    async flush() {
+        this.data.clear();
+        return true;
+    }
+}
+
+function copy(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function globToRegExp(pattern) {
+    const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp('^' + source + '$');
+}
+
+// Fake authenticated user, shaped like the `user` object Puter passes to handlers
+function createUser({ uuid, username }) {
+    const userInfo = { uuid: uuid || `local-${username}`, username };
+    return {
+        puter: {
+            auth: {
+                getUser: async () => ({ ...userInfo })
+            }
+        }
+    };
+}
+
+function toResponse(result) {
+    if (result instanceof Response) {
+        return result;
+    }
+    return new Response(JSON.stringify(result), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Dispatch a Fetch API Request through the routes registered on router
+function createDispatcher(router, { console: log = console } = {}) {
+    return async function handle(request, user = null) {
+        const { pathname } = new URL(request.url);
+        const found = router.find(request.method, pathname);
+
+        if (!found) {
+            return new Response(JSON.stringify({
+                error: 'Not found',
+                path: pathname,
+                method: request.method,
+                message: 'No route matches this request'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        try {
+            const result = await found.route.handler({ request, user, params: found.params });
+            return toResponse(result);
+        } catch (error) {
+            log.error('Unhandled worker error:', error);
+            return new Response(JSON.stringify({
+                error: 'Server error',
+                message: error.message
+            }), {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        LocalRouter,
+        MemoryKV,
+        compilePattern,
+        createUser,
+        createDispatcher
+    };
+}
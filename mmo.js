@@ -5,61 +5,621 @@
 // Configuration
 const MAX_CHAT_HISTORY = 100;
 const MAX_CHAT_DISPLAY = 50;
-const PLAYER_TIMEOUT = 30000; // 30 seconds
+const MAX_MESSAGE_LENGTH = 200;
+const CHAT_CHANNELS = ['global', 'say', 'whisper'];
+const SAY_RADIUS = 150; // pixels - how far a "say" message carries
+const CHAT_KINDS = ['text', 'action']; // action messages come from /me
+
+// Presence - players are active while they move or chat, idle while their
+// client is open but they do nothing, and away once their client stops
+// sending heartbeats. Away players are removed after PLAYER_TIMEOUT, by
+// whichever request next reads them.
+const IDLE_AFTER = 60000; // no movement or chat for a minute
+const AWAY_AFTER = 30000; // no heartbeat for 30 seconds (clients send one every 10)
+const PLAYER_TIMEOUT = 2 * 60 * 1000; // no heartbeat for 2 minutes
+const MAX_PREFERENCES_SIZE = 2000; // characters of JSON a profile's preferences may take
+
+// Emotes and speech bubbles, shown over a player's avatar until they expire.
+// A player's latest global or say message is their bubble.
+const EMOTES = {
+    wave: '👋',
+    dance: '💃',
+    heart: '❤️',
+    laugh: '😂',
+    clap: '👏',
+    thumbsup: '👍',
+    cry: '😢',
+    sleep: '💤'
+};
+const EMOTE_DURATION = 4000;
+const BUBBLE_DURATION = 6000;
+
+// Per-user rate limits for write routes, as token buckets: each call takes a
+// token, a user holds at most capacity tokens and earns refillPerSecond back.
+// The limits are approximate: see takeRateLimitToken.
+const RATE_LIMITS = {
+    position: { capacity: 20, refillPerSecond: 12 }, // the client steps at most 10 times a second
+    chat: { capacity: 5, refillPerSecond: 0.5 },
+    logout: { capacity: 3, refillPerSecond: 0.1 },
+    pickup: { capacity: 5, refillPerSecond: 2 },
+    heartbeat: { capacity: 3, refillPerSecond: 0.2 },
+    emote: { capacity: 3, refillPerSecond: 0.5 },
+    avatar: { capacity: 3, refillPerSecond: 0.2 }
+};
+
+// Chat filter rules. Admins can change them at runtime (PUT /api/admin/chat-filter);
+// these are the defaults for anything not set in KV. Each rule's action is one of:
+// reject (refuse the message), mask (rewrite the offending part), shadow (store it
+// so only the sender sees it) or off. Duplicates can't be masked.
+const DEFAULT_CHAT_FILTER = {
+    blockedWords: { action: 'mask', words: [] },
+    duplicates: { action: 'reject', windowSeconds: 30, similarity: 0.9 },
+    caps: { action: 'mask', minLetters: 10, maxRatio: 0.7 },
+    flooding: { action: 'mask', maxRepeat: 4 }
+};
+const CHAT_FILTER_ACTIONS = {
+    blockedWords: ['reject', 'mask', 'shadow', 'off'],
+    duplicates: ['reject', 'shadow', 'off'],
+    caps: ['reject', 'mask', 'shadow', 'off'],
+    flooding: ['reject', 'mask', 'shadow', 'off']
+};
+const MAX_BLOCKED_WORDS = 500;
+const RECENT_MESSAGES_KEPT = 5; // per user, for duplicate detection
+
+// Moderation - the app creator is always an admin and can appoint others.
+// Mutes, kicks and bans apply across all rooms.
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const MAX_REASON_LENGTH = 200;
+const KICK_NOTICE_TTL = 60000; // how long a kicked player is told why on their next request
+const MAX_AUDIT_LOG = 500;
+const MAX_AUDIT_DISPLAY = 100;
+const TOMBSTONE_TTL = 5 * 60 * 1000; // how long removed players are remembered for delta sync
+const SYNC_OVERLAP = 2000; // delta syncs replay this much history to cover writes still in flight
+const SYNC_WAIT = 15000; // how long /api/sync holds a request while nothing changes
+const MAX_SYNC_WAIT = 25000;
+const SYNC_CHECK_INTERVAL = 500; // how soon a held request first looks for changes
+const MAX_SYNC_CHECK_INTERVAL = 2000; // the gap between looks doubles up to this while nothing changes
+
+// World bounds and movement limits - the worker is the authority on these
+const WORLD_WIDTH = 2000;
+const WORLD_HEIGHT = 2000;
+const PLAYER_SIZE = 20;
+const SPAWN_POINT = { x: 1000, y: 1000 };
+const MAX_MOVE_SPEED = 200; // pixels per second
+const MOVE_BURST = 60; // pixels of unused movement a player can bank
+const MAX_MOVE_GAP = 1000; // ms since the last move that one update can make up for
+
+// Area of interest - players are indexed by the grid cell they stand in, so a
+// client can ask for the players near it without the worker reading the whole room
+const CELL_SIZE = 250; // pixels
+const MAX_AREA_SIZE = 1500; // widest area (or twice the radius) one query may cover
+
+// Rooms - each room is a separate world with its own players, chat and stats.
+// Requests pick a room with ?room=<id>; requests without one use DEFAULT_ROOM.
+const ROOMS = {
+    lobby: { name: 'Lobby', maxPlayers: 50 },
+    meadow: { name: 'Meadow', maxPlayers: 20 },
+    arena: { name: 'Arena', maxPlayers: 8 }
+};
+const DEFAULT_ROOM = 'lobby';
+
+// Tile maps - each room's world is covered by a grid of tiles. Tile types are
+// keyed by a single character and rows are strings of those characters, so a
+// map can be drawn in a text editor. Blocked tiles (walls, water) can't be
+// walked into. Admins replace a room's map with PUT /api/admin/map; rooms
+// without one use DEFAULT_MAP.
+const MAX_TILE_TYPES = 16;
+const DEFAULT_MAP = {
+    version: 0,
+    tileSize: 50,
+    tiles: {
+        '.': { name: 'grass', color: '#a5d6a7', blocked: false },
+        ',': { name: 'path', color: '#e6d5b8', blocked: false },
+        '#': { name: 'wall', color: '#6d4c41', blocked: true },
+        '~': { name: 'water', color: '#4fc3f7', blocked: true }
+    },
+    rows: [
+        '........................................',
+        '........................................',
+        '....................,...................',
+        '....................,...................',
+        '.......~~~~.........,...................',
+        '.....~~~~~~~~.......,.....#########.....',
+        '....~~~~~~~~~~......,.....#.......#.....',
+        '....~~~~~~~~~~......,.....#.......#.....',
+        '....~~~~~~~~~~......,.....#.......#.....',
+        '....~~~~~~~~~~......,.....#.......#.....',
+        '.....~~~~~~~~.......,.....#.......#.....',
+        '.......~~~~.........,.....####,####.....',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '....................,.........,.........',
+        '..,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,,..',
+        '....................,...................',
+        '....................,...................',
+        '....................,...................',
+        '....................,...................',
+        '....................,...................',
+        '.....~~~~~..........,...................',
+        '....~~~~~~~.........,.....###...###.....',
+        '...~~~~~~~~~........,.....#.......#.....',
+        '...~~~~~~~~~........,.....#.......#.....',
+        '...~~~~~~~~~........,.....#.......#.....',
+        '...~~~~~~~~~........,.....#.............',
+        '...~~~~~~~~~........,.....#.............',
+        '....~~~~~~~.........,.....#.......#.....',
+        '.....~~~~~..........,.....####,####.....',
+        '....................,...................',
+        '....................,...................',
+        '....................,...................',
+        '........................................',
+        '........................................'
+    ]
+};
+
+// Collectible items - each type spawns one item per room every spawnEvery ms,
+// as long as fewer than max of them are lying around. Items spawn on open
+// tiles and are picked up by players within PICKUP_RANGE of them.
+const ITEM_TYPES = {
+    coin: { name: 'Coin', emoji: '🪙', spawnEvery: 10000, max: 15 },
+    apple: { name: 'Apple', emoji: '🍎', spawnEvery: 30000, max: 8 },
+    gem: { name: 'Gem', emoji: '💎', spawnEvery: 2 * 60 * 1000, max: 3 }
+};
+const PICKUP_RANGE = 40; // pixels between the player's stored position and the item
+
+// Leaderboards - per-player counters, added to as players use the game. Each
+// counter is kept for all time and for the current UTC day and week (weeks
+// start on Monday).
+const SCORE_STATS = {
+    distance: { name: 'Distance walked', unit: 'px' },
+    messages: { name: 'Messages sent', unit: 'messages' },
+    timeOnline: { name: 'Time online', unit: 'ms' },
+    items: { name: 'Items collected', unit: 'items' }
+};
+const LEADERBOARD_PERIODS = ['all', 'daily', 'weekly'];
+const LEADERBOARD_SIZE = 10; // entries returned by default
+const MAX_LEADERBOARD_SIZE = 50;
+
+// Tag - a round-based mini-game in every room. One player is "it" and passes
+// it on by coming within tagRange of another player; whoever spends the least
+// time as "it" wins the round. Like presence, rounds move on when requests
+// read them: a round starts once minPlayers are around and ends after
+// roundLength. Players can opt out with POST /api/tag/opt-out.
+const TAG_GAME = {
+    roundLength: 3 * 60 * 1000,
+    breakLength: 30 * 1000, // between rounds
+    tagRange: 30, // pixels between the two players
+    tagBackAfter: 3000, // ms before "it" may tag the player who just tagged them
+    minPlayers: 2
+};
+const TAG_ANNOUNCER = '🏷️ Tag';
+const TAG_SAVE_ATTEMPTS = 5; // reads of the tag state before a request gives up changing it
 
 // KV keys for shared game state (using app creator's KV store)
-const KV_PLAYERS_KEY = 'mmo_players';
-const KV_CHAT_KEY = 'mmo_chat_history';
-const KV_STATS_KEY = 'mmo_game_stats';
+// Every player and every chat message is stored under its own key, so
+// concurrent writes from different players never overwrite each other.
+// Keys are namespaced by room: mmo_room:<room>:player:<uuid> and so on.
+function roomKey(room, name) {
+    return `mmo_room:${room}:${name}`;
+}
+
+function playerKey(room, playerId) {
+    return roomKey(room, 'player:' + playerId);
+}
+
+// Sequence numbers are zero-padded so keys list in message order
+function chatKey(room, seq) {
+    return roomKey(room, 'chat:' + String(seq).padStart(12, '0'));
+}
+
+function chatSeqKey(room) {
+    return roomKey(room, 'chat_seq');
+}
+
+function statsKey(room) {
+    return roomKey(room, 'stats');
+}
+
+// Bumped on every player change delta syncs report, so held /api/sync
+// requests can check for changes with one read
+function syncVersionKey(room) {
+    return roomKey(room, 'sync_version');
+}
+
+function mapKey(room) {
+    return roomKey(room, 'map');
+}
+
+// Items lying in a room: mmo_room:<room>:item:<id>
+function itemKey(room, itemId) {
+    return roomKey(room, 'item:' + itemId);
+}
+
+// Taken with an atomic increment, so only one player can pick an item up
+function itemClaimKey(room, itemId) {
+    return roomKey(room, 'item_claim:' + itemId);
+}
+
+// The last spawn tick of each item type
+function itemSpawnKey(room) {
+    return roomKey(room, 'item_spawn');
+}
+
+// Spatial index entries: mmo_room:<room>:cell:<cx>:<cy>:<uuid>
+function cellKey(room, cell, playerId) {
+    return roomKey(room, `cell:${cell.cx}:${cell.cy}:${playerId}`);
+}
+
+// Profiles belong to the user rather than a room and outlive their sessions
+function profileKey(playerId) {
+    return `mmo_profile:${playerId}`;
+}
+
+// Moderation state is global, keyed by user
+const ADMINS_KEY = 'mmo_admins';
+const AUDIT_SEQ_KEY = 'mmo_audit_seq';
+
+function muteKey(playerId) {
+    return `mmo_mute:${playerId}`;
+}
+
+function banKey(playerId) {
+    return `mmo_ban:${playerId}`;
+}
+
+function kickKey(playerId) {
+    return `mmo_kick:${playerId}`;
+}
+
+const CHAT_FILTER_KEY = 'mmo_chat_filter';
+
+function recentMessagesKey(playerId) {
+    return `mmo_chat_recent:${playerId}`;
+}
+
+// Inventories belong to the user, one counter per item type:
+// mmo_inventory:<uuid>:<type>
+function inventoryKey(playerId, type) {
+    return `mmo_inventory:${playerId}:${type}`;
+}
+
+// Score counters: mmo_score:<window>:<stat>:<uuid>, where the window is
+// 'all', 'daily-<date>' or 'weekly-<date of Monday>'
+function scoreKey(window, stat, playerId) {
+    return `mmo_score:${window}:${stat}:${playerId}`;
+}
+
+// Taken with an atomic increment by the first score of a daily or weekly
+// window, so only one request clears out the windows before it
+function scoreWindowKey(window) {
+    return `mmo_score_window:${window}`;
+}
+
+function tagKey(room) {
+    return roomKey(room, 'tag');
+}
+
+// Each save of the tag state takes one of these, tag_claim:<round>:<version>,
+// with an atomic increment, so only one request makes each change and
+// announces it
+function tagClaimKey(room, name) {
+    return roomKey(room, 'tag_claim:' + name);
+}
+
+function rateLimitKey(route, playerId) {
+    return `mmo_ratelimit:${route}:${playerId}`;
+}
+
+function auditKey(seq) {
+    return 'mmo_audit:' + String(seq).padStart(12, '0');
+}
+
+function cellOf(x, y) {
+    return { cx: Math.floor(x / CELL_SIZE), cy: Math.floor(y / CELL_SIZE) };
+}
+
+// The room a request is for, or null if it names a room that doesn't exist
+function getRoomId(request) {
+    const room = new URL(request.url).searchParams.get('room') || DEFAULT_ROOM;
+    return Object.prototype.hasOwnProperty.call(ROOMS, room) ? room : null;
+}
+
+function roomNotFoundResponse(request) {
+    return new Response(JSON.stringify({ 
+        error: 'Room not found',
+        room: new URL(request.url).searchParams.get('room'),
+        message: `Available rooms: ${Object.keys(ROOMS).join(', ')}`
+    }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
 
 // Helper functions for KV operations
-async function getPlayers() {
+
+// All player records, including the tombstones left behind by removed players
+// Players who timed out are removed and old tombstones dropped as they're read
+async function getPlayerRecords(room) {
     try {
-        const playersData = await me.puter.kv.get(KV_PLAYERS_KEY);
-        return playersData ? new Map(Object.entries(playersData)) : new Map();
+        const entries = await me.puter.kv.list(roomKey(room, 'player:*'), true);
+        const { records } = await expirePlayers(room, entries || [], Date.now());
+        return records;
     } catch (error) {
         console.error('Error getting players:', error);
-        return new Map();
+        return [];
+    }
+}
+
+async function getPlayers(room) {
+    const records = await getPlayerRecords(room);
+    return new Map(records.filter(record => !record.removed).map(player => [player.id, player]));
+}
+
+async function getPlayer(room, playerId) {
+    const player = await me.puter.kv.get(playerKey(room, playerId));
+    return player && !player.removed ? player : null;
+}
+
+// Writes only this player's keys, so other players' updates are never lost.
+// Pass the previous record when the player may have moved to another cell.
+async function savePlayer(room, player, previous = null) {
+    await me.puter.kv.set(playerKey(room, player.id), player);
+    await indexPlayer(room, player, previous);
+    if (!previous || previous.lastUpdate !== player.lastUpdate) {
+        await me.puter.kv.incr(syncVersionKey(room));
+    }
+}
+
+// Keep the player's spatial index entry in the cell they stand in. Leaving a
+// cell leaves a tombstone behind, so area deltas can tell clients watching
+// that cell the player walked away.
+async function indexPlayer(room, player, previous) {
+    const cell = cellOf(player.x, player.y);
+    await me.puter.kv.set(cellKey(room, cell, player.id), toIndexEntry(player));
+    
+    if (previous) {
+        const previousCell = cellOf(previous.x, previous.y);
+        if (previousCell.cx !== cell.cx || previousCell.cy !== cell.cy) {
+            await me.puter.kv.set(cellKey(room, previousCell, player.id), {
+                id: player.id,
+                removed: true,
+                lastUpdate: player.lastUpdate
+            });
+        }
+    }
+}
+
+// Players are replaced by a tombstone rather than deleted, so delta syncs
+// can tell clients who left. Every way of leaving a room ends up here, so
+// this is also where the session is written to the player's profile.
+async function markPlayerRemoved(room, player) {
+    await recordSession(room, player);
+    
+    const tombstone = {
+        id: player.id,
+        removed: true,
+        lastUpdate: Date.now()
+    };
+    await me.puter.kv.set(playerKey(room, player.id), tombstone);
+    await me.puter.kv.set(cellKey(room, cellOf(player.x, player.y), player.id), tombstone);
+    await me.puter.kv.incr(syncVersionKey(room));
+    return tombstone;
+}
+
+// When the player's client last checked in, and when they last moved or
+// chatted (older records only have lastUpdate)
+function lastSeenAt(player) {
+    return player.lastSeen || player.lastUpdate;
+}
+
+function lastActiveAt(player) {
+    return player.lastActive || player.lastUpdate;
+}
+
+function getPresence(player, now) {
+    if (now - lastSeenAt(player) > AWAY_AFTER) return 'away';
+    if (now - lastActiveAt(player) > IDLE_AFTER) return 'idle';
+    return 'active';
+}
+
+// Chatting counts as activity. Only a change of presence, or changes other
+// players see (like a speech bubble), bump lastUpdate, so chatting players
+// don't show up in every delta otherwise.
+async function markPlayerActive(room, id, now, changes = null) {
+    const player = await getPlayer(room, id);
+    if (!player) return null;
+    
+    const updated = { ...player, ...changes, lastSeen: now, lastActive: now };
+    if (changes || getPresence(player, now) !== 'active') {
+        updated.lastUpdate = now;
+    }
+    await savePlayer(room, updated, player);
+    return updated;
+}
+
+// Presence changes with time alone, so delta syncs also send players who
+// crossed a presence boundary after the cursor
+function presenceChangedSince(player, after, now) {
+    return [lastActiveAt(player) + IDLE_AFTER, lastSeenAt(player) + AWAY_AFTER]
+        .some(boundary => boundary > after && boundary <= now);
+}
+
+// Go through listed { key, value } entries (player records or index entries):
+// remove players who timed out, re-reading each one first so a player who
+// just came back is kept, and delete tombstones no delta cursor can still
+// need. Returns the remaining records and how many players were removed.
+async function expirePlayers(room, entries, now) {
+    const records = [];
+    let expired = 0;
+    
+    for (const { key, value } of entries) {
+        if (value.removed) {
+            if (now - value.lastUpdate > TOMBSTONE_TTL) {
+                await me.puter.kv.del(key);
+            } else {
+                records.push(value);
+            }
+            continue;
+        }
+        
+        if (now - lastSeenAt(value) <= PLAYER_TIMEOUT) {
+            records.push(value);
+            continue;
+        }
+        
+        const current = await getPlayer(room, value.id);
+        if (current && now - lastSeenAt(current) > PLAYER_TIMEOUT) {
+            records.push(await markPlayerRemoved(room, current));
+            expired++;
+        } else if (current) {
+            records.push(value);
+        }
+    }
+    
+    return { records, expired };
+}
+
+async function removePlayer(room, playerId) {
+    const existing = await getPlayer(room, playerId);
+    if (!existing) return false;
+    await markPlayerRemoved(room, existing);
+    return true;
+}
+
+// Sweep a whole room: the player list and every spatial index cell
+async function sweepRoom(room, now) {
+    const [players, cells, items, claims] = await Promise.all([
+        me.puter.kv.list(roomKey(room, 'player:*'), true),
+        me.puter.kv.list(roomKey(room, 'cell:*'), true),
+        me.puter.kv.list(roomKey(room, 'item:*'), true),
+        me.puter.kv.list(roomKey(room, 'item_claim:*'), true)
+    ]);
+    const { expired } = await expirePlayers(room, players || [], now);
+    await expirePlayers(room, (cells || []).filter(({ value }) => value.removed), now);
+    
+    // Pickups drop their claims, but one interrupted half way leaves its
+    // claim behind; drop the ones whose item is gone
+    const itemIds = new Set((items || []).map(({ value }) => value.id));
+    const claimPrefix = roomKey(room, 'item_claim:');
+    for (const { key } of claims || []) {
+        if (!itemIds.has(key.slice(claimPrefix.length))) {
+            await me.puter.kv.del(key);
+        }
+    }
+    return expired;
+}
+
+// The cells an area overlaps, clamped to the world
+function cellsInArea(area) {
+    const first = cellOf(Math.max(0, area.left), Math.max(0, area.top));
+    const last = cellOf(Math.min(WORLD_WIDTH - 1, area.right), Math.min(WORLD_HEIGHT - 1, area.bottom));
+    const cells = [];
+    for (let cx = first.cx; cx <= last.cx; cx++) {
+        for (let cy = first.cy; cy <= last.cy; cy++) {
+            cells.push({ cx, cy });
+        }
     }
+    return cells;
 }
 
-async function savePlayers(players) {
+// Spatial index entries, players and tombstones, in the cells an area
+// overlaps. A player who just changed cells has an entry in both, so only the
+// newest entry per player is kept (the live one when they tie).
+async function getAreaRecords(room, area) {
     try {
-        const playersObj = Object.fromEntries(players);
-        await me.puter.kv.set(KV_PLAYERS_KEY, playersObj);
+        const lists = await Promise.all(cellsInArea(area).map(cell =>
+            me.puter.kv.list(roomKey(room, `cell:${cell.cx}:${cell.cy}:*`), true)
+        ));
+        
+        const { records } = await expirePlayers(room, lists.flat().filter(Boolean), Date.now());
+        
+        const newest = new Map();
+        records.forEach(value => {
+            const current = newest.get(value.id);
+            if (!current ||
+                value.lastUpdate > current.lastUpdate ||
+                (value.lastUpdate === current.lastUpdate && !value.removed)) {
+                newest.set(value.id, value);
+            }
+        });
+        return Array.from(newest.values());
     } catch (error) {
-        console.error('Error saving players:', error);
+        console.error('Error getting players in area:', error);
+        return [];
+    }
+}
+
+// The area of interest in a query string: x and y with either radius, or
+// width and height for a viewport centred on x,y. Returns null when the
+// query names no area, or { error } when it is malformed.
+function getArea(searchParams) {
+    if (!searchParams.has('x') && !searchParams.has('y')) return null;
+    
+    const x = Number(searchParams.get('x'));
+    const y = Number(searchParams.get('y'));
+    const halfWidth = searchParams.has('radius') ? Number(searchParams.get('radius')) : Number(searchParams.get('width')) / 2;
+    const halfHeight = searchParams.has('radius') ? Number(searchParams.get('radius')) : Number(searchParams.get('height')) / 2;
+    
+    const hasSize = searchParams.has('radius') || (searchParams.has('width') && searchParams.has('height'));
+    if (!hasSize || ![x, y, halfWidth, halfHeight].every(Number.isFinite) || halfWidth < 0 || halfHeight < 0) {
+        return { error: 'An area needs numeric x and y, plus radius or width and height' };
     }
+    
+    return {
+        left: x - Math.min(halfWidth, MAX_AREA_SIZE / 2),
+        top: y - Math.min(halfHeight, MAX_AREA_SIZE / 2),
+        right: x + Math.min(halfWidth, MAX_AREA_SIZE / 2),
+        bottom: y + Math.min(halfHeight, MAX_AREA_SIZE / 2)
+    };
 }
 
-async function getChatHistory() {
+async function getChatHistory(room) {
     try {
-        const chatData = await me.puter.kv.get(KV_CHAT_KEY);
-        return chatData || [];
+        const entries = await me.puter.kv.list(roomKey(room, 'chat:*'), true);
+        return (entries || [])
+            .map(({ value }) => value)
+            .sort((a, b) => a.seq - b.seq);
     } catch (error) {
         console.error('Error getting chat history:', error);
         return [];
     }
 }
 
-async function saveChatHistory(chatHistory) {
-    try {
-        await me.puter.kv.set(KV_CHAT_KEY, chatHistory);
-    } catch (error) {
-        console.error('Error saving chat history:', error);
+// Append a message under a fresh key from the atomic sequence counter,
+// then drop the one message that fell out of the history window.
+// The sequence number doubles as the message id and is strictly increasing.
+async function appendChatMessage(room, chatMessage) {
+    const seq = await me.puter.kv.incr(chatSeqKey(room));
+    const storedMessage = { id: seq, seq, ...chatMessage };
+    await me.puter.kv.set(chatKey(room, seq), storedMessage);
+    
+    if (seq > MAX_CHAT_HISTORY) {
+        await me.puter.kv.del(chatKey(room, seq - MAX_CHAT_HISTORY));
     }
+    
+    return storedMessage;
 }
 
-async function updateGameStats() {
+// Read players and chat together so every route reports the same view
+async function getGameSnapshot(room) {
+    const [players, chatHistory] = await Promise.all([getPlayers(room), getChatHistory(room)]);
+    return { players, chatHistory };
+}
+
+async function updateGameStats(room) {
     try {
-        const players = await getPlayers();
-        const chatHistory = await getChatHistory();
+        const { players, chatHistory } = await getGameSnapshot(room);
         const stats = {
             activePlayers: players.size,
             totalMessages: chatHistory.length,
             lastUpdate: Date.now()
         };
-        await me.puter.kv.set(KV_STATS_KEY, stats);
+        await me.puter.kv.set(statsKey(room), stats);
         return stats;
     } catch (error) {
         console.error('Error updating game stats:', error);
@@ -67,20 +627,2406 @@ async function updateGameStats() {
     }
 }
 
-// Get all active players
-router.get('/api/players', async ({ request }) => {
+// Population of every room, for the room picker and health check
+async function getRoomSummaries() {
+    return Promise.all(Object.entries(ROOMS).map(async ([id, room]) => {
+        const players = await getPlayers(id);
+        return {
+            id: id,
+            name: room.name,
+            players: players.size,
+            maxPlayers: room.maxPlayers,
+            full: players.size >= room.maxPlayers
+        };
+    }));
+}
+
+// A player is only ever in one room, so joining a room leaves the others
+async function leaveOtherRooms(room, playerId) {
+    for (const otherRoom of Object.keys(ROOMS)) {
+        if (otherRoom !== room) {
+            await removePlayer(otherRoom, playerId);
+        }
+    }
+}
+
+async function getProfile(playerId) {
+    return me.puter.kv.get(profileKey(playerId));
+}
+
+async function saveProfile(profile) {
+    await me.puter.kv.set(profileKey(profile.id), profile);
+}
+
+// Create or refresh a profile as the player joins a room
+async function startProfileSession(userInfo, emoji, now) {
+    const profile = await getProfile(userInfo.uuid) || {
+        id: userInfo.uuid,
+        joinedAt: new Date(now).toISOString(),
+        lastPosition: null,
+        playTime: 0,
+        preferences: {}
+    };
+    profile.username = userInfo.username;
+    profile.emoji = emoji;
+    profile.lastSeen = now;
+    await saveProfile(profile);
+    return profile;
+}
+
+// Add a finished session's play time and last position to the profile
+async function recordSession(room, player) {
     try {
-        const players = await getPlayers();
-        const playerList = Array.from(players.values());
+        const profile = await getProfile(player.id);
+        if (!profile) return;
+        
+        // Two requests may both find a player timed out; count the session once
+        const sessionStart = player.sessionStart || player.lastUpdate;
+        if (profile.lastSessionStart !== sessionStart) {
+            profile.playTime += Math.max(0, lastSeenAt(player) - sessionStart);
+            profile.lastSessionStart = sessionStart;
+        }
+        profile.emoji = player.emoji;
+        profile.lastPosition = { room: room, x: player.x, y: player.y };
+        profile.lastSeen = lastSeenAt(player);
+        await saveProfile(profile);
+    } catch (error) {
+        console.error('Error saving profile:', error);
+    }
+}
+
+// The room and record of the player's live session, if they're in one
+async function findLivePlayer(playerId) {
+    for (const room of Object.keys(ROOMS)) {
+        const player = await getPlayer(room, playerId);
+        if (player) return { room, player };
+    }
+    return null;
+}
+
+// A profile as the player sees it, with any live session counted in
+function toPublicProfile(profile, live) {
+    const publicProfile = {
+        id: profile.id,
+        username: profile.username,
+        emoji: profile.emoji,
+        joinedAt: profile.joinedAt,
+        lastPosition: profile.lastPosition,
+        playTime: profile.playTime,
+        preferences: profile.preferences,
+        tagOptOut: Boolean(profile.tagOptOut),
+        lastSeen: profile.lastSeen,
+        online: Boolean(live)
+    };
+    
+    if (live) {
+        const sessionStart = live.player.sessionStart || live.player.lastUpdate;
+        publicProfile.emoji = live.player.emoji;
+        publicProfile.lastPosition = { room: live.room, x: live.player.x, y: live.player.y };
+        publicProfile.playTime += Math.max(0, lastSeenAt(live.player) - sessionStart);
+        publicProfile.lastSeen = lastSeenAt(live.player);
+    }
+    
+    return publicProfile;
+}
+
+// Preferences are the client's own settings: any JSON object within the size limit
+function isValidPreferences(preferences) {
+    return preferences !== null &&
+        typeof preferences === 'object' &&
+        !Array.isArray(preferences) &&
+        JSON.stringify(preferences).length <= MAX_PREFERENCES_SIZE;
+}
+
+// Find a player by username among everyone who has ever joined
+async function findUserByName(username) {
+    const name = typeof username === 'string' ? username.trim().replace(/^@/, '').toLowerCase() : '';
+    if (!name) return null;
+    
+    const entries = await me.puter.kv.list('mmo_profile:*', true);
+    const profile = (entries || [])
+        .map(({ value }) => value)
+        .find(value => value.username && value.username.toLowerCase() === name);
+    return profile ? { id: profile.id, username: profile.username } : null;
+}
+
+async function getOwner() {
+    const owner = await me.puter.auth.getUser();
+    return { id: owner.uuid, username: owner.username };
+}
+
+async function getAdmins() {
+    return (await me.puter.kv.get(ADMINS_KEY)) || [];
+}
+
+async function isAdmin(playerId) {
+    const [owner, admins] = await Promise.all([getOwner(), getAdmins()]);
+    return playerId === owner.id || admins.some(admin => admin.id === playerId);
+}
+
+// The signed-in user if they are an admin, otherwise null
+async function getAdminUser(user) {
+    if (!user || !user.puter) return null;
+    const userInfo = await user.puter.auth.getUser();
+    return await isAdmin(userInfo.uuid) ? { id: userInfo.uuid, username: userInfo.username } : null;
+}
+
+function adminOnlyResponse(user) {
+    const signedIn = Boolean(user && user.puter);
+    return new Response(JSON.stringify({ 
+        error: signedIn ? 'Admin only' : 'Authentication required',
+        message: signedIn ? 'Only admins can do that' : 'Please authenticate with Puter'
+    }), {
+        status: signedIn ? 403 : 401,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Resolve the player an admin wants to act on. Nobody can act on the owner,
+// and only the owner can act on other admins. Returns the target, or an
+// error body and status.
+async function resolveModerationTarget(admin, username) {
+    const target = await findUserByName(username);
+    if (!target) {
         return {
-            players: playerList,
-            count: playerList.length,
-            timestamp: Date.now()
+            status: 404,
+            error: { error: 'Player not found', message: `${username || 'That player'} has never played` }
+        };
+    }
+    
+    const owner = await getOwner();
+    if (target.id === owner.id || (admin.id !== owner.id && await isAdmin(target.id))) {
+        return {
+            status: 403,
+            error: { error: 'Not allowed', message: `You can't moderate ${target.username}` }
         };
+    }
+    
+    return { target };
+}
+
+function sanitizeReason(reason) {
+    return sanitizeChatText(reason).slice(0, MAX_REASON_LENGTH);
+}
+
+// Log a moderation action under a fresh sequence number, like chat messages
+async function appendAuditEntry(entry) {
+    const seq = await me.puter.kv.incr(AUDIT_SEQ_KEY);
+    const storedEntry = { seq, ...entry, timestamp: new Date().toISOString() };
+    await me.puter.kv.set(auditKey(seq), storedEntry);
+    
+    if (seq > MAX_AUDIT_LOG) {
+        await me.puter.kv.del(auditKey(seq - MAX_AUDIT_LOG));
+    }
+    
+    return storedEntry;
+}
+
+// A mute that is still running, or null. Expired mutes are cleared on sight.
+async function getActiveMute(playerId, now) {
+    const mute = await me.puter.kv.get(muteKey(playerId));
+    if (!mute) return null;
+    if (mute.until <= now) {
+        await me.puter.kv.del(muteKey(playerId));
+        return null;
+    }
+    return mute;
+}
+
+// A kick is reported once, on the kicked player's next request
+async function takeKickNotice(playerId, now) {
+    const kick = await me.puter.kv.get(kickKey(playerId));
+    if (!kick) return null;
+    await me.puter.kv.del(kickKey(playerId));
+    return now - kick.at <= KICK_NOTICE_TTL ? kick : null;
+}
+
+// Take a player out of every room, saving their session to their profile
+async function removeFromAllRooms(playerId) {
+    for (const room of Object.keys(ROOMS)) {
+        await removePlayer(room, playerId);
+    }
+}
+
+// Take a token from the user's bucket for a route. Returns whether the call
+// may go ahead and, if not, how many seconds until a token is available.
+// The bucket is read and then written, not claimed with an atomic increment,
+// so one user's requests in flight at the same time can take the same token:
+// a user who sends them in parallel gets up to one extra call per request in
+// flight. game.js sends one position update at a time, so this only lets
+// through bursts from other clients.
+async function takeRateLimitToken(route, playerId, now) {
+    const limit = RATE_LIMITS[route];
+    const bucket = await me.puter.kv.get(rateLimitKey(route, playerId));
+    
+    const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+    const tokens = bucket ? Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond) : limit.capacity;
+    
+    if (tokens < 1) {
+        return { allowed: false, retryAfter: Math.ceil((1 - tokens) / limit.refillPerSecond) };
+    }
+    
+    await me.puter.kv.set(rateLimitKey(route, playerId), { tokens: tokens - 1, updatedAt: now });
+    return { allowed: true };
+}
+
+function rateLimitedResponse(retryAfter) {
+    return new Response(JSON.stringify({ 
+        error: 'Too many requests',
+        code: 'rate_limited',
+        retryAfter: retryAfter,
+        message: `Slow down! Try again in ${retryAfter} second(s)`
+    }), {
+        status: 429,
+        headers: {
+            'Content-Type': 'application/json',
+            'Retry-After': String(retryAfter)
+        }
+    });
+}
+
+// Errors for moderated players carry a code game.js acts on:
+// banned and kicked end the game, muted only blocks chat
+function moderationResponse(code, body) {
+    return new Response(JSON.stringify({ code: code, ...body }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+function bannedResponse(ban) {
+    return moderationResponse('banned', {
+        error: 'Banned',
+        message: ban.reason ? `You are banned: ${ban.reason}` : 'You are banned from this game'
+    });
+}
+
+function mutedResponse(mute, now) {
+    const minutes = Math.ceil((mute.until - now) / 60000);
+    return moderationResponse('muted', {
+        error: 'Muted',
+        until: mute.until,
+        message: `You are muted for ${minutes} more minute(s)` + (mute.reason ? `: ${mute.reason}` : '')
+    });
+}
+
+function kickedResponse(kick) {
+    return moderationResponse('kicked', {
+        error: 'Kicked',
+        message: kick.reason ? `You were kicked: ${kick.reason}` : 'You were kicked from the game'
+    });
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Where a joining player enters: back where they left this room last time,
+// otherwise the spawn point. If the map has changed so that their last
+// position is blocked, they enter at the nearest open tile instead.
+function getSpawnPoint(room, profile, map) {
+    const last = profile && profile.lastPosition;
+    if (!last || last.room !== room) return SPAWN_POINT;
+    
+    const point = {
+        x: Math.round(clamp(last.x, PLAYER_SIZE / 2, WORLD_WIDTH - PLAYER_SIZE / 2)),
+        y: Math.round(clamp(last.y, PLAYER_SIZE / 2, WORLD_HEIGHT - PLAYER_SIZE / 2))
+    };
+    return isOpenPosition(map, point.x, point.y) ? point : findOpenPosition(map, point);
+}
+
+// The room's tile map
+async function getMap(room) {
+    return await me.puter.kv.get(mapKey(room)) || DEFAULT_MAP;
+}
+
+function tileAt(map, x, y) {
+    const row = map.rows[Math.floor(y / map.tileSize)];
+    const key = row && row[Math.floor(x / map.tileSize)];
+    return key === undefined ? null : map.tiles[key];
+}
+
+// Whether a player standing at x, y overlaps no blocked tile. Tiles are at
+// least PLAYER_SIZE across, so checking the corners of the player is enough.
+function isOpenPosition(map, x, y) {
+    const half = PLAYER_SIZE / 2 - 1;
+    return [[-half, -half], [half, -half], [-half, half], [half, half]].every(([dx, dy]) => {
+        const tile = tileAt(map, x + dx, y + dy);
+        return Boolean(tile) && !tile.blocked;
+    });
+}
+
+// Follow a move in steps of half a player and stop before the first step
+// that would overlap a blocked tile. Players left inside a blocked tile by a
+// map change move freely until they're out.
+function walkUntilBlocked(map, from, to) {
+    if (!isOpenPosition(map, from.x, from.y)) return to;
+    
+    const steps = Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / (PLAYER_SIZE / 2));
+    let reached = { x: from.x, y: from.y };
+    for (let i = 1; i <= steps; i++) {
+        const point = {
+            x: Math.round(from.x + (to.x - from.x) * i / steps),
+            y: Math.round(from.y + (to.y - from.y) * i / steps)
+        };
+        if (!isOpenPosition(map, point.x, point.y)) break;
+        reached = point;
+    }
+    return reached;
+}
+
+// The centre of the open tile nearest to a point, searching outwards ring
+// by ring
+function findOpenPosition(map, point) {
+    const tileX = Math.floor(point.x / map.tileSize);
+    const tileY = Math.floor(point.y / map.tileSize);
+    const maxRing = Math.max(map.rows.length, map.rows[0].length);
+    
+    for (let ring = 0; ring < maxRing; ring++) {
+        for (let ty = tileY - ring; ty <= tileY + ring; ty++) {
+            for (let tx = tileX - ring; tx <= tileX + ring; tx++) {
+                if (Math.max(Math.abs(tx - tileX), Math.abs(ty - tileY)) !== ring) continue;
+                
+                const x = Math.round((tx + 0.5) * map.tileSize);
+                const y = Math.round((ty + 0.5) * map.tileSize);
+                if (isOpenPosition(map, x, y)) return { x, y };
+            }
+        }
+    }
+    return SPAWN_POINT;
+}
+
+// Check an uploaded map. The rows must cover the world exactly, and the
+// spawn point must be open. Returns the cleaned map, or { error }.
+function validateMap(map) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        return { error: 'Send a map object with tileSize, tiles and rows' };
+    }
+    
+    const { tileSize, tiles, rows } = map;
+    if (!Number.isInteger(tileSize) || tileSize < PLAYER_SIZE || WORLD_WIDTH % tileSize || WORLD_HEIGHT % tileSize) {
+        return { error: `tileSize must be a whole number of pixels, at least ${PLAYER_SIZE}, that divides the ${WORLD_WIDTH}x${WORLD_HEIGHT} world` };
+    }
+    
+    if (!tiles || typeof tiles !== 'object' || Array.isArray(tiles)) {
+        return { error: 'tiles must be an object of tile types' };
+    }
+    const keys = Object.keys(tiles);
+    if (keys.length === 0 || keys.length > MAX_TILE_TYPES) {
+        return { error: `tiles must have 1 to ${MAX_TILE_TYPES} tile types` };
+    }
+    
+    const cleanTiles = {};
+    for (const key of keys) {
+        const tile = tiles[key];
+        if (key.length !== 1) {
+            return { error: `Tile keys must be a single character, not ${key}` };
+        }
+        if (!tile || typeof tile.name !== 'string' || !tile.name.trim() || tile.name.length > 32) {
+            return { error: `Tile ${key} needs a name of up to 32 characters` };
+        }
+        if (typeof tile.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(tile.color)) {
+            return { error: `Tile ${key} needs a color like #a5d6a7` };
+        }
+        if (tile.blocked !== undefined && typeof tile.blocked !== 'boolean') {
+            return { error: `Tile ${key}: blocked must be true or false` };
+        }
+        cleanTiles[key] = { name: tile.name.trim(), color: tile.color.toLowerCase(), blocked: tile.blocked === true };
+    }
+    
+    const columns = WORLD_WIDTH / tileSize;
+    const rowCount = WORLD_HEIGHT / tileSize;
+    if (!Array.isArray(rows) || rows.length !== rowCount) {
+        return { error: `rows must be ${rowCount} rows of ${columns} tiles` };
+    }
+    for (const [index, row] of rows.entries()) {
+        if (typeof row !== 'string' || row.length !== columns) {
+            return { error: `Row ${index} must be ${columns} tiles long` };
+        }
+        const unknown = [...row].find(key => !cleanTiles[key]);
+        if (unknown !== undefined) {
+            return { error: `Row ${index} uses ${unknown}, which is not in tiles` };
+        }
+    }
+    
+    const cleaned = { tileSize, tiles: cleanTiles, rows: rows.slice() };
+    if (!isOpenPosition(cleaned, SPAWN_POINT.x, SPAWN_POINT.y)) {
+        return { error: `The spawn point (${SPAWN_POINT.x}, ${SPAWN_POINT.y}) must not be blocked` };
+    }
+    return { map: cleaned };
+}
+
+// A stable pseudo-random number for a string (FNV-1a), so every worker
+// instance spawns the same item in the same place
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// The centre of an open tile picked by seed
+function pickOpenTile(map, seed) {
+    const columns = map.rows[0].length;
+    const tileCount = columns * map.rows.length;
+    const start = hashString(seed) % tileCount;
+    
+    for (let i = 0; i < tileCount; i++) {
+        const index = (start + i) % tileCount;
+        const x = Math.round((index % columns + 0.5) * map.tileSize);
+        const y = Math.round((Math.floor(index / columns) + 0.5) * map.tileSize);
+        if (isOpenPosition(map, x, y)) return { x, y };
+    }
+    return SPAWN_POINT;
+}
+
+// The items lying in a room, after spawning any that are due. Item types
+// spawn on a fixed schedule of ticks (now / spawnEvery), and an item's id
+// and position come from its tick, so concurrent requests spawning the same
+// tick write the same item. A room nobody has looked at starts full.
+async function getItems(room, now) {
+    const [entries, spawnState, map] = await Promise.all([
+        me.puter.kv.list(roomKey(room, 'item:*'), true),
+        me.puter.kv.get(itemSpawnKey(room)),
+        getMap(room)
+    ]);
+    const items = (entries || []).map(({ value }) => value);
+    const lastTicks = { ...spawnState };
+    let spawned = false;
+    
+    for (const [type, config] of Object.entries(ITEM_TYPES)) {
+        const tick = Math.floor(now / config.spawnEvery);
+        const lastTick = Number.isInteger(lastTicks[type]) ? lastTicks[type] : tick - config.max;
+        if (tick <= lastTick) continue;
+        
+        // Only the latest ticks that fit under the cap spawn an item
+        const openSlots = config.max - items.filter(item => item.type === type).length;
+        const firstTick = Math.max(lastTick + 1, tick - openSlots + 1);
+        for (let t = firstTick; t <= tick; t++) {
+            const id = `${type}-${t}`;
+            const item = {
+                id,
+                type,
+                emoji: config.emoji,
+                ...pickOpenTile(map, `${room}:${id}`),
+                spawnedAt: t * config.spawnEvery
+            };
+            await me.puter.kv.set(itemKey(room, id), item);
+            items.push(item);
+        }
+        
+        lastTicks[type] = tick;
+        spawned = true;
+    }
+    
+    if (spawned) {
+        await me.puter.kv.set(itemSpawnKey(room), lastTicks);
+    }
+    return items.sort((a, b) => a.spawnedAt - b.spawnedAt || a.id.localeCompare(b.id));
+}
+
+// The counter window a leaderboard period covers at a time, and when the
+// window started (null for all time)
+function leaderboardWindow(period, now) {
+    if (period === 'all') return { window: 'all', since: null };
+    
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+    if (period === 'weekly') {
+        start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    }
+    return { window: `${period}-${start.toISOString().slice(0, 10)}`, since: start.getTime() };
+}
+
+// Add to one of a player's score counters in every period. Scores are a
+// side effect, so a failure here never fails the route that earned them.
+async function addScore(playerId, stat, amount, now) {
+    if (!(amount > 0)) return;
+    
+    try {
+        await Promise.all(LEADERBOARD_PERIODS.map(async period => {
+            const { window } = leaderboardWindow(period, now);
+            const total = await me.puter.kv.incr(scoreKey(window, stat, playerId), amount);
+            // A counter's first score may be the first of its window
+            if (period !== 'all' && total === amount) {
+                await pruneScoreWindows(period, window);
+            }
+        }));
+    } catch (error) {
+        console.error('Error recording score:', error);
+    }
+}
+
+// Delete a period's counters from the windows before this one, once per
+// window. Window names end in their start date, so older ones sort first.
+async function pruneScoreWindows(period, window) {
+    if (await me.puter.kv.incr(scoreWindowKey(window)) > 1) return;
+    
+    const [scores, claims] = await Promise.all([
+        me.puter.kv.list(`mmo_score:${period}-*`, true),
+        me.puter.kv.list(scoreWindowKey(`${period}-*`), true)
+    ]);
+    for (const { key } of [...(scores || []), ...(claims || [])]) {
+        if (key.split(':')[1] < window) {
+            await me.puter.kv.del(key);
+        }
+    }
+}
+
+// Every player with a score for the stat in the period's current window,
+// best first. Equal scores share a rank.
+async function getRankedScores(stat, period, now) {
+    const { window } = leaderboardWindow(period, now);
+    const prefix = scoreKey(window, stat, '');
+    const entries = await me.puter.kv.list(prefix + '*', true);
+    
+    const ranked = (entries || [])
+        .map(({ key, value }) => ({ playerId: key.slice(prefix.length), value: Number(value) || 0 }))
+        .filter(entry => entry.value > 0)
+        .sort((a, b) => b.value - a.value || a.playerId.localeCompare(b.playerId));
+    
+    ranked.forEach((entry, index) => {
+        const previous = ranked[index - 1];
+        entry.rank = previous && previous.value === entry.value ? previous.rank : index + 1;
+    });
+    return ranked;
+}
+
+// A user's inventory as [{ type, name, emoji, count }], in ITEM_TYPES order
+async function getInventory(playerId) {
+    const counts = await Promise.all(
+        Object.keys(ITEM_TYPES).map(type => me.puter.kv.get(inventoryKey(playerId, type)))
+    );
+    return Object.entries(ITEM_TYPES)
+        .map(([type, config], index) => ({ type, name: config.name, emoji: config.emoji, count: Number(counts[index]) || 0 }))
+        .filter(entry => entry.count > 0);
+}
+
+// Whether a player takes part in tag right now. Away players sit it out.
+function canPlayTag(player, now) {
+    return !player.removed && !player.tagOptOut && getPresence(player, now) !== 'away';
+}
+
+// Post a message from the game itself to the room's global chat
+async function announce(room, message) {
+    return appendChatMessage(room, {
+        username: TAG_ANNOUNCER,
+        message: message,
+        mentions: extractMentions(message),
+        kind: 'announcement',
+        channel: 'global',
+        timestamp: new Date().toISOString(),
+        userId: null
+    });
+}
+
+function formatSeconds(ms) {
+    return `${Math.round(ms / 1000)}s`;
+}
+
+// Each player's time as "it" so far, counting the current "it" up to now
+function tagStandings(state, now) {
+    return Object.entries(state.players)
+        .map(([id, player]) => ({
+            id,
+            username: player.username,
+            itTime: player.itTime + (id === state.itId && state.status === 'running' ? now - state.itSince : 0),
+            tags: player.tags
+        }))
+        .sort((a, b) => a.itTime - b.itTime || b.tags - a.tags || a.username.localeCompare(b.username))
+        .map((standing, index) => ({ rank: index + 1, ...standing }));
+}
+
+// The tag state, with the round started, handed on or finished as due. A
+// request that loses the race to save a step reads the state again and
+// works it out anew.
+async function advanceTagRound(room, now) {
+    let state;
+    for (let attempt = 0; attempt < TAG_SAVE_ATTEMPTS; attempt++) {
+        state = await me.puter.kv.get(tagKey(room)) || { round: 0, status: 'ended', nextRoundAt: 0 };
+        const advanced = await advanceTagState(room, state, now);
+        if (advanced) return advanced;
+    }
+    return state;
+}
+
+// Take a stored tag state through every step that is due, or null if
+// another request changed it first
+async function advanceTagState(room, state, now) {
+    if (state.status === 'running' && now >= state.endsAt) {
+        state = await endTagRound(room, state, state.endsAt);
+    }
+    if (state && state.status === 'running') {
+        state = await checkTagIt(room, state, now);
+    }
+    if (state && state.status === 'ended' && now >= state.nextRoundAt) {
+        state = await startTagRound(room, state, now);
+    }
+    return state;
+}
+
+// Save a change to the tag state. Every save takes the next version of the
+// round with an atomic increment, so of two requests changing the same
+// state only the first is saved; the other gets null and has to read the
+// state again.
+async function saveTagState(room, previous, next) {
+    const version = next.round === previous.round ? (previous.version || 0) + 1 : 0;
+    if (await me.puter.kv.incr(tagClaimKey(room, `${next.round}:${version}`)) > 1) return null;
+    
+    const saved = { ...next, version };
+    await me.puter.kv.set(tagKey(room), saved);
+    return saved;
+}
+
+async function startTagRound(room, state, now) {
+    const players = Array.from((await getPlayers(room)).values()).filter(player => canPlayTag(player, now));
+    if (players.length < TAG_GAME.minPlayers) return state;
+    
+    const round = state.round + 1;
+    const it = players[Math.floor(Math.random() * players.length)];
+    const started = await saveTagState(room, state, {
+        round: round,
+        status: 'running',
+        startedAt: now,
+        endsAt: now + TAG_GAME.roundLength,
+        itId: it.id,
+        itSince: now,
+        taggedBy: null,
+        taggedAt: null,
+        players: Object.fromEntries(players.map(player => [player.id, { username: player.username, itTime: 0, tags: 0 }]))
+    });
+    if (!started) return null;
+    
+    // The round before last is long over, so nobody still saves over it
+    const stale = await me.puter.kv.list(tagClaimKey(room, `${round - 2}:*`), true);
+    for (const { key } of stale || []) {
+        await me.puter.kv.del(key);
+    }
+    
+    await announce(room, `Round ${round} of tag has started! @${it.username} is it. Stay away from them for ${formatSeconds(TAG_GAME.roundLength)}.`);
+    return started;
+}
+
+// Finish the round at the given time. Everyone who works out that the round
+// is over gets the same results, but only one of them saves and announces it.
+async function endTagRound(room, state, at) {
+    const finished = await saveTagState(room, state, {
+        ...state,
+        status: 'ended',
+        endedAt: at,
+        nextRoundAt: at + TAG_GAME.breakLength,
+        results: tagStandings(state, at)
+    });
+    if (!finished) return null;
+    
+    const podium = finished.results.slice(0, 3)
+        .map(result => `${result.rank}. @${result.username} (${formatSeconds(result.itTime)})`)
+        .join(', ');
+    await announce(room, `Round ${state.round} of tag is over! Least time as it: ${podium || 'nobody'}.`);
+    return finished;
+}
+
+// Hand "it" on if the player who is it has left, gone away or opted out,
+// and end the round early if too few players are left to play
+async function checkTagIt(room, state, now) {
+    const it = await getPlayer(room, state.itId);
+    if (it && canPlayTag(it, now)) return state;
+    
+    const players = Array.from((await getPlayers(room)).values())
+        .filter(player => player.id !== state.itId && canPlayTag(player, now));
+    if (players.length < TAG_GAME.minPlayers) {
+        return endTagRound(room, state, now);
+    }
+    
+    const next = players[Math.floor(Math.random() * players.length)];
+    return saveTagState(room, state, passTag(state, next, null, now));
+}
+
+// Make a player "it", adding the time the previous "it" spent
+function passTag(state, target, tagger, now) {
+    const players = { ...state.players };
+    const previous = players[state.itId];
+    if (previous) {
+        players[state.itId] = {
+            ...previous,
+            itTime: previous.itTime + now - state.itSince,
+            tags: previous.tags + (tagger ? 1 : 0)
+        };
+    }
+    if (!players[target.id]) {
+        players[target.id] = { username: target.username, itTime: 0, tags: 0 };
+    }
+    
+    return {
+        ...state,
+        players,
+        itId: target.id,
+        itSince: now,
+        taggedBy: tagger ? tagger.id : null,
+        taggedAt: tagger ? now : null
+    };
+}
+
+// Called after a player moves: join them to the running round and tag
+// whoever "it" now touches. Returns the tag state.
+async function checkTag(room, mover, now) {
+    let state;
+    for (let attempt = 0; attempt < TAG_SAVE_ATTEMPTS; attempt++) {
+        state = await advanceTagRound(room, now);
+        const changed = await tagAfterMove(room, state, mover, now);
+        if (!changed) return state;
+        
+        const saved = await saveTagState(room, state, changed);
+        if (saved) return saved;
+    }
+    return state;
+}
+
+// The tag state after a move, or null if it doesn't change. "It" tags the
+// nearest player in range, and a player who walks into "it" is tagged too.
+async function tagAfterMove(room, state, mover, now) {
+    if (state.status !== 'running' || !canPlayTag(mover, now)) return null;
+    
+    const tagBackBlocked = id => state.taggedBy === id && now - state.taggedAt < TAG_GAME.tagBackAfter;
+    const inRange = player => Math.hypot(player.x - mover.x, player.y - mover.y) <= TAG_GAME.tagRange;
+    let changed = false;
+    
+    if (!state.players[mover.id]) {
+        state = { ...state, players: { ...state.players, [mover.id]: { username: mover.username, itTime: 0, tags: 0 } } };
+        changed = true;
+    }
+    
+    if (mover.id === state.itId) {
+        const nearby = await getAreaRecords(room, {
+            left: mover.x - TAG_GAME.tagRange,
+            top: mover.y - TAG_GAME.tagRange,
+            right: mover.x + TAG_GAME.tagRange,
+            bottom: mover.y + TAG_GAME.tagRange
+        });
+        const target = nearby
+            .filter(player => player.id !== mover.id && canPlayTag(player, now) && inRange(player) && !tagBackBlocked(player.id))
+            .sort((a, b) => Math.hypot(a.x - mover.x, a.y - mover.y) - Math.hypot(b.x - mover.x, b.y - mover.y))[0];
+        if (target) {
+            state = passTag(state, target, mover, now);
+            changed = true;
+        }
+    } else {
+        const it = await getPlayer(room, state.itId);
+        if (it && inRange(it) && !tagBackBlocked(mover.id)) {
+            state = passTag(state, mover, it, now);
+            changed = true;
+        }
+    }
+    
+    return changed ? state : null;
+}
+
+// Validate a requested move against the world bounds, the map and the
+// distance the player may cover since their last update. Players earn
+// movement budget at MAX_MOVE_SPEED and spend it as they move. They bank at
+// most MOVE_BURST of it, and one update earns for at most MAX_MOVE_GAP, so a
+// request after a pause may cover a slow round trip but a player back from
+// idling can't cross the map in one step. Moves past the budget are
+// shortened along the same direction, and moves into a blocked tile stop in
+// front of it.
+function resolveMove(previous, requested, now, spawn = SPAWN_POINT, map = DEFAULT_MAP) {
+    if (!previous) {
+        // New players always enter at the spawn point
+        return {
+            x: spawn.x,
+            y: spawn.y,
+            moveBudget: MOVE_BURST,
+            corrected: Math.round(requested.x) !== spawn.x || Math.round(requested.y) !== spawn.y
+        };
+    }
+    
+    // lastUpdate also moves for chat, emotes, presence and avatar changes, so
+    // budget is earned from the last move (lastUpdate for older records)
+    const movedAt = typeof previous.lastMoveAt === 'number' ? previous.lastMoveAt : previous.lastUpdate;
+    const elapsed = clamp(now - movedAt, 0, MAX_MOVE_GAP) / 1000;
+    const storedBudget = typeof previous.moveBudget === 'number' ? previous.moveBudget : MOVE_BURST;
+    const budget = Math.min(MOVE_BURST, storedBudget) + elapsed * MAX_MOVE_SPEED;
+    
+    let x = requested.x;
+    let y = requested.y;
+    const distance = Math.hypot(x - previous.x, y - previous.y);
+    if (distance > budget) {
+        const scale = budget / distance;
+        x = previous.x + (x - previous.x) * scale;
+        y = previous.y + (y - previous.y) * scale;
+    }
+    
+    x = Math.round(clamp(x, PLAYER_SIZE / 2, WORLD_WIDTH - PLAYER_SIZE / 2));
+    y = Math.round(clamp(y, PLAYER_SIZE / 2, WORLD_HEIGHT - PLAYER_SIZE / 2));
+    
+    const reached = walkUntilBlocked(map, previous, { x, y });
+    const blocked = reached.x !== x || reached.y !== y;
+    
+    return {
+        x: reached.x,
+        y: reached.y,
+        moveBudget: Math.max(0, budget - Math.hypot(reached.x - previous.x, reached.y - previous.y)),
+        corrected: reached.x !== Math.round(requested.x) || reached.y !== Math.round(requested.y),
+        blocked
+    };
+}
+
+// Avatars are a single short emoji: no letters, digits, spaces or control
+// characters (zero-width joiners inside emoji sequences are fine)
+function isValidAvatar(emoji) {
+    return typeof emoji === 'string' &&
+        emoji.length <= 16 &&
+        /\p{Extended_Pictographic}/u.test(emoji) &&
+        !/[\s\p{L}\p{N}\p{Cc}\u200b\u200c\u200e\u200f\u202a-\u202e\u2066-\u2069]/u.test(emoji);
+}
+
+// A player's emote or speech bubble, while it is still showing
+function unexpired(effect, now) {
+    return effect && effect.expiresAt > now ? effect : null;
+}
+
+// Fields of a stored player that other clients get to see
+function toPublicPlayer(player, now) {
+    return {
+        id: player.id,
+        username: player.username,
+        emoji: player.emoji,
+        x: player.x,
+        y: player.y,
+        presence: getPresence(player, now),
+        emote: unexpired(player.emote, now),
+        bubble: unexpired(player.bubble, now),
+        lastUpdate: player.lastUpdate
+    };
+}
+
+// What the spatial index keeps of a player: enough to answer area queries
+// and work out presence without reading the player's own key
+function toIndexEntry(player) {
+    return {
+        id: player.id,
+        username: player.username,
+        emoji: player.emoji,
+        x: player.x,
+        y: player.y,
+        tagOptOut: Boolean(player.tagOptOut),
+        emote: player.emote || null,
+        bubble: player.bubble || null,
+        lastSeen: lastSeenAt(player),
+        lastActive: lastActiveAt(player),
+        lastUpdate: player.lastUpdate
+    };
+}
+
+// The /api/players response: every player in the room or area, or with a
+// since cursor only the ones that changed after it
+async function getPlayersUpdate(room, area, since, now) {
+    const records = area ? await getAreaRecords(room, area) : await getPlayerRecords(room);
+    const activePlayers = records.filter(record => !record.removed);
+    
+    // A delta is only complete while every tombstone after the cursor still exists
+    const isDelta = since > 0 && since - SYNC_OVERLAP > now - TOMBSTONE_TTL;
+    const changedAfter = since - SYNC_OVERLAP;
+    
+    const playerList = (isDelta
+        ? activePlayers.filter(player => player.lastUpdate > changedAfter || presenceChangedSince(player, changedAfter, now))
+        : activePlayers
+    ).map(player => toPublicPlayer(player, now));
+    const removed = isDelta
+        ? records.filter(record => record.removed && record.lastUpdate > changedAfter).map(record => record.id)
+        : [];
+    
+    return {
+        players: playerList,
+        removed: removed,
+        full: !isDelta,
+        area: area,
+        cursor: now,
+        count: activePlayers.length,
+        timestamp: now
+    };
+}
+
+// Get active players. With ?since=<cursor> only the players that joined or
+// moved since that cursor are returned, plus the ids of players who left.
+// A missing or expired cursor gets the full list with full: true.
+// With an area (?x=&y= plus radius= or width=&height=) only the players in the
+// index cells the area overlaps are returned, and removed also lists players
+// who walked out of those cells. A cursor is only valid for the same area.
+router.get('/api/players', async ({ request }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const searchParams = new URL(request.url).searchParams;
+        const area = getArea(searchParams);
+        if (area && area.error) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid area',
+                message: area.error
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        return await getPlayersUpdate(room, area, Number(searchParams.get('since')), Date.now());
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get players'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Update player position and info
+router.post('/api/player/position', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required',
+            message: 'Please authenticate with Puter to play'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { x, y, emoji, seq } = await request.json();
+        const userInfo = await user.puter.auth.getUser();
+        const now = Date.now();
+        
+        const rateLimit = await takeRateLimitToken('position', userInfo.uuid, now);
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        const ban = await me.puter.kv.get(banKey(userInfo.uuid));
+        if (ban) return bannedResponse(ban);
+        
+        const kick = await takeKickNotice(userInfo.uuid, now);
+        if (kick) return kickedResponse(kick);
+        
+        // Validate position data
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !isValidAvatar(emoji)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid position data',
+                message: 'x, y coordinates and an emoji avatar are required'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        if (seq !== undefined && (!Number.isSafeInteger(seq) || seq < 1)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid position data',
+                message: 'seq must be a whole number above 0'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const previous = await getPlayer(room, userInfo.uuid);
+        
+        // The client numbers its inputs. An update that arrives after a later
+        // one (requests can overtake each other) is stale: the later position
+        // already includes it, so the player isn't moved back.
+        if (previous && seq !== undefined && seq <= (previous.lastSeq || 0)) {
+            return { 
+                success: true, 
+                playerId: userInfo.uuid,
+                room: room,
+                position: { x: previous.x, y: previous.y },
+                seq: previous.lastSeq,
+                stale: true
+            };
+        }
+        
+        // Joining a room: refuse once it is full, and leave any other room
+        let roomSize = null;
+        if (!previous) {
+            const players = await getPlayers(room);
+            if (players.size >= ROOMS[room].maxPlayers) {
+                return new Response(JSON.stringify({ 
+                    error: 'Room full',
+                    room: room,
+                    message: `${ROOMS[room].name} is full (${ROOMS[room].maxPlayers} players)`
+                }), {
+                    status: 403,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+            await leaveOtherRooms(room, userInfo.uuid);
+            roomSize = players.size + 1;
+        }
+        
+        // Returning players pick up where they left off
+        const profile = previous ? null : await startProfileSession(userInfo, emoji, now);
+        
+        // Work out where the player is actually allowed to be
+        const map = await getMap(room);
+        const move = resolveMove(previous, { x, y }, now, getSpawnPoint(room, profile, map), map);
+        
+        // Update or create this player's entry in the shared KV store
+        const player = {
+            id: userInfo.uuid,
+            username: userInfo.username,
+            // The emoji only counts on joining; after that the avatar changes
+            // through the rate limited avatar routes
+            emoji: previous ? previous.emoji : emoji,
+            x: move.x,
+            y: move.y,
+            moveBudget: move.moveBudget,
+            lastMoveAt: now,
+            lastSeq: seq !== undefined ? seq : null, // an update without one, like a join, starts over
+            tagOptOut: previous ? Boolean(previous.tagOptOut) : Boolean(profile.tagOptOut),
+            emote: previous ? unexpired(previous.emote, now) : null,
+            bubble: previous ? unexpired(previous.bubble, now) : null,
+            sessionStart: previous ? previous.sessionStart || previous.lastUpdate : now,
+            lastCounted: previous && previous.lastCounted || now,
+            lastSeen: now,
+            lastActive: now,
+            lastUpdate: now
+        };
+        await savePlayer(room, player, previous);
+        
+        if (previous) {
+            await addScore(userInfo.uuid, 'distance', Math.round(Math.hypot(move.x - previous.x, move.y - previous.y)), now);
+        }
+        
+        // Tag is a side effect too; a failure there shouldn't stop the move
+        try {
+            await checkTag(room, player, now);
+        } catch (error) {
+            console.error('Error checking tag:', error);
+        }
+        
+        // position is where the player is after input seq. When corrected is
+        // true, part of the move was refused and the client should move back.
+        const result = { 
+            success: true, 
+            playerId: userInfo.uuid,
+            room: room,
+            position: { x: move.x, y: move.y },
+            seq: player.lastSeq,
+            corrected: move.corrected,
+            blocked: Boolean(move.blocked),
+            mapVersion: map.version
+        };
+        
+        // Joining players learn the size of the world and how many are in it.
+        // Moves leave the count out, as it means reading every player.
+        if (!previous) {
+            result.world = { width: WORLD_WIDTH, height: WORLD_HEIGHT };
+            result.totalPlayers = roomSize;
+        }
+        
+        return result;
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to update player position'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Sequence numbers are taken before a message is written, so a gap right
+// after the cursor or between recent messages may be a message still being
+// stored. Stop before such a gap so the client's cursor never moves past it.
+function untilPendingGap(messages, after, now) {
+    let expected = after + 1;
+    for (let i = 0; i < messages.length; i++) {
+        const isGap = messages[i].seq !== expected;
+        if (isGap && now - Date.parse(messages[i].timestamp) < SYNC_OVERLAP) {
+            return messages.slice(0, i);
+        }
+        expected = messages[i].seq + 1;
+    }
+    return messages;
+}
+
+// Chat sanitization - the same rules as sanitizeChatText in chat-format.js;
+// test/chat-format.test.js checks the two agree. Messages are stored as plain text; clients escape
+// them and only add markup for @mentions, http(s) links and :shortcodes:.
+const CHAT_INVISIBLE_PATTERN = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+const CHAT_MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]{1,32})/g;
+
+function sanitizeChatText(text) {
+    if (typeof text !== 'string') return '';
+    
+    const cleaned = text
+        .normalize('NFC')
+        .replace(CHAT_INVISIBLE_PATTERN, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    
+    // Cut by code point so emoji are never split in half
+    return Array.from(cleaned).slice(0, MAX_MESSAGE_LENGTH).join('').trim();
+}
+
+// Usernames @mentioned in a message, lowercased and without duplicates
+function extractMentions(text) {
+    const mentions = new Set();
+    for (const match of text.matchAll(CHAT_MENTION_PATTERN)) {
+        mentions.add(match[2].toLowerCase());
+    }
+    return Array.from(mentions);
+}
+
+// The chat filter rules in force: the KV copy over the defaults
+async function getChatFilter() {
+    const stored = await me.puter.kv.get(CHAT_FILTER_KEY) || {};
+    const filter = {};
+    for (const rule of Object.keys(DEFAULT_CHAT_FILTER)) {
+        filter[rule] = { ...DEFAULT_CHAT_FILTER[rule], ...stored[rule] };
+    }
+    return filter;
+}
+
+// Apply a partial update to the rules. Returns the new rules, or { error }.
+function mergeChatFilter(current, update) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        return { error: 'Send an object of rules to change' };
+    }
+    
+    const filter = { ...current };
+    for (const [rule, changes] of Object.entries(update)) {
+        if (!DEFAULT_CHAT_FILTER[rule]) {
+            return { error: `Unknown rule ${rule}. Rules: ${Object.keys(DEFAULT_CHAT_FILTER).join(', ')}` };
+        }
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return { error: `${rule} must be an object` };
+        }
+        
+        const merged = { ...current[rule] };
+        for (const [setting, value] of Object.entries(changes)) {
+            if (!(setting in DEFAULT_CHAT_FILTER[rule])) {
+                return { error: `${rule} has no setting ${setting}` };
+            }
+            merged[setting] = value;
+        }
+        
+        if (!CHAT_FILTER_ACTIONS[rule].includes(merged.action)) {
+            return { error: `${rule}.action must be one of: ${CHAT_FILTER_ACTIONS[rule].join(', ')}` };
+        }
+        if (rule === 'blockedWords' && (!Array.isArray(merged.words) || merged.words.length > MAX_BLOCKED_WORDS ||
+            !merged.words.every(word => typeof word === 'string' && word.trim()))) {
+            return { error: `blockedWords.words must be a list of up to ${MAX_BLOCKED_WORDS} words` };
+        }
+        const numbers = Object.entries(merged).filter(([setting]) => setting !== 'action' && setting !== 'words');
+        if (!numbers.every(([, value]) => Number.isFinite(value) && value >= 0)) {
+            return { error: `${rule} settings must be non-negative numbers` };
+        }
+        
+        if (rule === 'blockedWords') {
+            merged.words = Array.from(new Set(merged.words.map(word => word.trim().toLowerCase())));
+        }
+        filter[rule] = merged;
+    }
+    return { filter };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Letters and digits only, lowercased, for comparing messages
+function normalizeForComparison(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// How alike two strings are, from 0 to 1 (Dice coefficient over character pairs)
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    
+    const pairs = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const pair = a.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const pair = b.slice(i, i + 2);
+        if (pairs.get(pair) > 0) {
+            pairs.set(pair, pairs.get(pair) - 1);
+            shared++;
+        }
+    }
+    return (2 * shared) / (a.length + b.length - 2);
+}
+
+// Each rule looks at the text and, if it objects, says what the masked
+// text would be. They run in this order, each seeing the previous mask.
+const CHAT_FILTER_RULES = {
+    flooding: (text, rule) => {
+        const repeat = Math.max(1, Math.floor(rule.maxRepeat));
+        const pattern = new RegExp(`(.)\\1{${repeat},}`, 'gu');
+        return pattern.test(text) ? { masked: text.replace(pattern, match => Array.from(match).slice(0, repeat).join('')) } : null;
+    },
+    
+    caps: (text, rule) => {
+        const letters = text.match(/\p{L}/gu) || [];
+        const upper = letters.filter(letter => letter !== letter.toLowerCase());
+        const shouting = letters.length >= rule.minLetters && upper.length / letters.length > rule.maxRatio;
+        return shouting ? { masked: text.toLowerCase() } : null;
+    },
+    
+    blockedWords: (text, rule) => {
+        if (!rule.words.length) return null;
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${rule.words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+        return pattern.test(text) ? { masked: text.replace(pattern, word => '*'.repeat(Array.from(word).length)) } : null;
+    },
+    
+    duplicates: (text, rule, recent, now) => {
+        const normalized = normalizeForComparison(text);
+        const repeated = recent.some(previous =>
+            now - previous.at <= rule.windowSeconds * 1000 && similarity(previous.text, normalized) >= rule.similarity
+        );
+        return repeated ? {} : null;
+    }
+};
+
+// Run a message through the filter rules. Returns the text to store and
+// whether to shadow-hide it, or the rule that rejected it.
+async function filterChatMessage(playerId, text, now) {
+    const [filter, recent] = await Promise.all([
+        getChatFilter(),
+        me.puter.kv.get(recentMessagesKey(playerId)).then(messages => messages || [])
+    ]);
+    
+    // Every attempt counts towards duplicate detection, rejected ones too
+    const history = [...recent, { text: normalizeForComparison(text), at: now }].slice(-RECENT_MESSAGES_KEPT);
+    await me.puter.kv.set(recentMessagesKey(playerId), history);
+    
+    let filtered = text;
+    let shadow = false;
+    for (const [name, check] of Object.entries(CHAT_FILTER_RULES)) {
+        const rule = filter[name];
+        if (rule.action === 'off') continue;
+        
+        const result = check(filtered, rule, recent, now);
+        if (!result) continue;
+        
+        if (rule.action === 'reject') return { rejectedBy: name };
+        if (rule.action === 'shadow') shadow = true;
+        if (rule.action === 'mask') filtered = result.masked;
+    }
+    
+    return { text: filtered, shadow };
+}
+
+const CHAT_FILTER_MESSAGES = {
+    blockedWords: 'Your message contains a blocked word',
+    duplicates: 'You just sent that',
+    caps: 'Please don\'t shout',
+    flooding: 'Your message repeats characters too many times'
+};
+
+// Global messages are public; say and whisper messages carry the ids of the
+// players allowed to read them. Shadow-hidden messages are only shown to
+// their sender, who isn't told.
+function canSeeMessage(message, viewerId) {
+    if (message.shadow) return Boolean(viewerId) && message.userId === viewerId;
+    if (!message.channel || message.channel === 'global') return true;
+    return Boolean(viewerId) && Array.isArray(message.audience) && message.audience.includes(viewerId);
+}
+
+// Fields of a stored message that clients get to see
+function toPublicMessage(message) {
+    const { audience, shadow, ...publicMessage } = message;
+    return { channel: 'global', ...publicMessage };
+}
+
+// The requesting user's id, or null for anonymous requests
+async function getViewerId(user) {
+    if (!user || !user.puter) return null;
+    const userInfo = await user.puter.auth.getUser();
+    return userInfo.uuid;
+}
+
+// A chat cursor from the query string, or null for none (or a malformed one)
+function parseChatCursor(param) {
+    const after = param === null ? null : Number(param);
+    return Number.isInteger(after) && after >= 0 ? after : null;
+}
+
+// The /api/chat response: the latest messages the viewer may see, or with a
+// cursor only the ones after it
+async function getChatUpdate(room, viewerId, after, now) {
+    const chatHistory = await getChatHistory(room);
+    
+    if (after === null) {
+        const oldestSeq = chatHistory.length ? chatHistory[0].seq : 1;
+        const settled = untilPendingGap(chatHistory, oldestSeq - 1, now);
+        const messages = settled.filter(msg => canSeeMessage(msg, viewerId)).slice(-MAX_CHAT_DISPLAY);
+        return {
+            messages: messages.map(toPublicMessage),
+            lastSeq: settled.length ? settled[settled.length - 1].seq : oldestSeq - 1,
+            totalMessages: chatHistory.length,
+            timestamp: now
+        };
+    }
+    
+    const newer = untilPendingGap(chatHistory.filter(msg => msg.seq > after), after, now);
+    const visible = newer.filter(msg => canSeeMessage(msg, viewerId));
+    const messages = visible.slice(-MAX_CHAT_DISPLAY);
+    
+    // Messages that left the history before the client caught up are
+    // counted as skipped, whichever channel they were on
+    const trimmed = newer.length ? newer[0].seq - after - 1 : 0;
+    
+    return {
+        messages: messages.map(toPublicMessage),
+        lastSeq: newer.length ? newer[newer.length - 1].seq : after,
+        skipped: trimmed + visible.length - messages.length,
+        totalMessages: chatHistory.length,
+        timestamp: now
+    };
+}
+
+// Get the chat messages the requesting user may see. With ?after=<seq> only
+// newer messages are returned; skipped counts the messages after that seq the
+// client will never receive, because they left the history or more than
+// MAX_CHAT_DISPLAY arrived. lastSeq also moves past messages the user can't see.
+router.get('/api/chat', async ({ request, user }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const after = parseChatCursor(new URL(request.url).searchParams.get('after'));
+        return await getChatUpdate(room, await getViewerId(user), after, Date.now());
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get chat messages'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Players, chat and stats in one request, taking the same ?since=, area and
+// ?after= parameters as /api/players and /api/chat. With both cursors the
+// request is held until there is something new for this client, or ?wait=
+// ms pass (SYNC_WAIT by default, at most MAX_SYNC_WAIT; wait=0 answers at once).
+router.get('/api/sync', async ({ request, user }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const searchParams = new URL(request.url).searchParams;
+        const area = getArea(searchParams);
+        if (area && area.error) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid area',
+                message: area.error
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const wait = searchParams.has('wait') ? Number(searchParams.get('wait')) : SYNC_WAIT;
+        if (!Number.isFinite(wait) || wait < 0) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid wait',
+                message: `wait must be between 0 and ${MAX_SYNC_WAIT} ms`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const since = Number(searchParams.get('since'));
+        const after = parseChatCursor(searchParams.get('after'));
+        const viewerId = await getViewerId(user);
+        const deadline = Date.now() + Math.min(wait, MAX_SYNC_WAIT);
+        const canWait = since > 0 && after !== null;
+        
+        for (;;) {
+            // Read the versions first, so changes made while building count as new
+            const version = await getSyncVersion(room);
+            const result = await getSyncUpdate(room, area, since, after, viewerId, Date.now());
+            if (!canWait || hasSyncNews(result, viewerId) || Date.now() >= deadline) {
+                return result;
+            }
+            
+            // Nothing yet: look again once players or chat have changed, less
+            // often the longer the room stays quiet. A message still being
+            // written keeps the chat sequence ahead of lastSeq, so it is
+            // looked for again on every check.
+            const seen = { players: version.players, chat: result.chat.lastSeq };
+            let interval = SYNC_CHECK_INTERVAL;
+            let current;
+            do {
+                await sleep(Math.min(interval, Math.max(0, deadline - Date.now())));
+                interval = Math.min(interval * 2, MAX_SYNC_CHECK_INTERVAL);
+                current = await getSyncVersion(room);
+            } while (Date.now() < deadline && current.players === seen.players && current.chat === seen.chat);
+        }
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to sync'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+async function getSyncVersion(room) {
+    const [players, chat] = await Promise.all([
+        me.puter.kv.get(syncVersionKey(room)),
+        me.puter.kv.get(chatSeqKey(room))
+    ]);
+    return { players: Number(players) || 0, chat: Number(chat) || 0 };
+}
+
+async function getSyncUpdate(room, area, since, after, viewerId, now) {
+    const [players, chat, roomPlayers] = await Promise.all([
+        getPlayersUpdate(room, area, since, now),
+        getChatUpdate(room, viewerId, after, now),
+        getPlayers(room)
+    ]);
+    
+    return {
+        players: players,
+        chat: chat,
+        stats: {
+            activePlayers: roomPlayers.size,
+            totalMessages: chat.totalMessages
+        },
+        timestamp: now
+    };
+}
+
+// Whether a sync response has anything the client hasn't seen. The client
+// already knows its own moves, and whispers to others move the chat sequence
+// without being news, so neither ends the wait.
+function hasSyncNews({ players, chat }, viewerId) {
+    return players.full || players.players.some(player => player.id !== viewerId) || players.removed.length > 0 ||
+        chat.messages.length > 0 || chat.skipped > 0;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Say messages reach the players within SAY_RADIUS of the sender's stored
+// position; whispers reach one named player online in the same room. Returns the fields to add
+// to the message, or an error body and status.
+async function resolveAudience(room, channel, userInfo, to) {
+    if (channel === 'say') {
+        const sender = await getPlayer(room, userInfo.uuid);
+        if (!sender) {
+            return {
+                status: 400,
+                error: { error: 'Not in world', message: 'Join the game before using say' }
+            };
+        }
+        
+        // Only the index cells around the sender can hold listeners
+        const nearby = await getAreaRecords(room, {
+            left: sender.x - SAY_RADIUS,
+            top: sender.y - SAY_RADIUS,
+            right: sender.x + SAY_RADIUS,
+            bottom: sender.y + SAY_RADIUS
+        });
+        const audience = nearby
+            .filter(player => !player.removed && Math.hypot(player.x - sender.x, player.y - sender.y) <= SAY_RADIUS)
+            .map(player => player.id);
+        return { fields: { audience } };
+    }
+    
+    const players = await getPlayers(room);
+    const recipientName = typeof to === 'string' ? to.trim().replace(/^@/, '').toLowerCase() : '';
+    const recipient = Array.from(players.values())
+        .find(player => player.username.toLowerCase() === recipientName);
+    
+    if (!recipient) {
+        return {
+            status: 404,
+            error: { error: 'Player not found', message: `${to || 'That player'} is not online` }
+        };
+    }
+    
+    return {
+        fields: {
+            recipient: recipient.username,
+            recipientId: recipient.id,
+            audience: Array.from(new Set([userInfo.uuid, recipient.id]))
+        }
+    };
+}
+
+// Send chat message
+router.post('/api/chat', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required',
+            message: 'Please authenticate with Puter to chat'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { message, channel = 'global', to, kind = 'text' } = await request.json();
+        const userInfo = await user.puter.auth.getUser();
+        
+        const rateLimit = await takeRateLimitToken('chat', userInfo.uuid, Date.now());
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        const ban = await me.puter.kv.get(banKey(userInfo.uuid));
+        if (ban) return bannedResponse(ban);
+        
+        const mute = await getActiveMute(userInfo.uuid, Date.now());
+        if (mute) return mutedResponse(mute, Date.now());
+        
+        if (!CHAT_KINDS.includes(kind)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid message',
+                message: `Message kind must be one of: ${CHAT_KINDS.join(', ')}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        if (!CHAT_CHANNELS.includes(channel)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid channel',
+                message: `Channel must be one of: ${CHAT_CHANNELS.join(', ')}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // Sanitize and limit message length
+        const sanitizedMessage = sanitizeChatText(message);
+        
+        // Validate message
+        if (!sanitizedMessage) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid message',
+                message: 'Message cannot be empty'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // Spam, shouting and blocked words
+        const filtered = await filterChatMessage(userInfo.uuid, sanitizedMessage, Date.now());
+        if (filtered.rejectedBy) {
+            return new Response(JSON.stringify({ 
+                error: 'Message blocked',
+                code: 'filtered',
+                rule: filtered.rejectedBy,
+                message: CHAT_FILTER_MESSAGES[filtered.rejectedBy]
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // The id and seq are assigned by appendChatMessage
+        const chatMessage = {
+            username: userInfo.username,
+            message: filtered.text,
+            mentions: extractMentions(filtered.text),
+            kind: kind,
+            channel: channel,
+            timestamp: new Date().toISOString(),
+            userId: userInfo.uuid
+        };
+        
+        // Work out who may read say and whisper messages
+        if (channel !== 'global') {
+            const addressing = await resolveAudience(room, channel, userInfo, to);
+            if (addressing.error) {
+                return new Response(JSON.stringify(addressing.error), {
+                    status: addressing.status,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+            Object.assign(chatMessage, addressing.fields);
+        }
+        
+        if (filtered.shadow) {
+            chatMessage.shadow = true;
+        }
+        
+        // Store the message in the shared KV store
+        const storedMessage = await appendChatMessage(room, chatMessage);
+        
+        // Global and say messages also show over the sender's avatar. Whispers
+        // don't, and neither do shadowed messages, which only the sender sees.
+        const now = Date.now();
+        const bubble = channel !== 'whisper' && !chatMessage.shadow
+            ? { text: filtered.text, kind: kind, expiresAt: now + BUBBLE_DURATION }
+            : null;
+        await markPlayerActive(room, userInfo.uuid, now, bubble && { bubble: bubble });
+        if (!chatMessage.shadow) {
+            await addScore(userInfo.uuid, 'messages', 1, now);
+        }
+        const chatHistory = await getChatHistory(room);
+        
+        return { 
+            success: true, 
+            message: toPublicMessage(storedMessage),
+            bubble: bubble,
+            totalMessages: chatHistory.length
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to send chat message'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Sweep a room for timed-out players and old tombstones (admins only).
+// Every read already does this for what it reads, so this is only needed to
+// tidy the spatial index cells nobody is looking at.
+router.post('/api/cleanup', async ({ request, user }) => {
+    try {
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
+        
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const now = Date.now();
+        const removedCount = await sweepRoom(room, now);
+        
+        // Update game stats
+        const stats = await updateGameStats(room);
+        
+        return { 
+            success: true,
+            removedPlayers: removedCount,
+            activePlayers: stats.activePlayers,
+            timestamp: now
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to cleanup players'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Get game statistics
+router.get('/api/stats', async ({ request }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { players, chatHistory } = await getGameSnapshot(room);
+        
+        return {
+            activePlayers: players.size,
+            totalMessages: chatHistory.length,
+            recentMessages: chatHistory.filter(msg => canSeeMessage(msg, null)).slice(-5).map(msg => ({
+                username: msg.username,
+                timestamp: msg.timestamp
+            })),
+            uptime: Date.now(),
+            version: '1.0.0',
+            storageType: 'shared_kv'
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get game statistics'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Remove a specific player (for logout)
+router.post('/api/player/logout', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const userInfo = await user.puter.auth.getUser();
+        
+        const rateLimit = await takeRateLimitToken('logout', userInfo.uuid, Date.now());
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        // Remove this player's entry from the shared KV store
+        const removed = await removePlayer(room, userInfo.uuid);
+        
+        // Update game stats
+        const stats = await updateGameStats(room);
+        
+        return { 
+            success: true,
+            playerRemoved: removed,
+            playerId: userInfo.uuid,
+            remainingPlayers: stats.activePlayers
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to logout player'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Keep the player online while their client is open. Heartbeats don't count
+// as activity, so a player who only sends heartbeats turns idle.
+router.post('/api/player/heartbeat', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const userInfo = await user.puter.auth.getUser();
+        const now = Date.now();
+        
+        const rateLimit = await takeRateLimitToken('heartbeat', userInfo.uuid, now);
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        const player = await getPlayer(room, userInfo.uuid);
+        if (!player) {
+            return new Response(JSON.stringify({ 
+                error: 'Not in world',
+                message: 'Join the game again to keep playing'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // Coming back from away is a change other clients need to see
+        const updated = { ...player, lastSeen: now, lastCounted: now };
+        if (getPresence(player, now) === 'away') {
+            updated.lastUpdate = now;
+        }
+        await savePlayer(room, updated, player);
+        
+        // Time online is counted between heartbeats, at most AWAY_AFTER at a time
+        const online = Math.min(AWAY_AFTER, now - (player.lastCounted || player.sessionStart || now));
+        await addScore(userInfo.uuid, 'timeOnline', online, now);
+        
+        return { 
+            success: true,
+            presence: getPresence(updated, now)
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to record heartbeat'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// The emotes players can send
+router.get('/api/emotes', async () => {
+    return {
+        emotes: Object.entries(EMOTES).map(([name, emoji]) => ({ name, emoji })),
+        duration: EMOTE_DURATION,
+        bubbleDuration: BUBBLE_DURATION
+    };
+});
+
+// Show an emote over your avatar: { emote: 'wave' }. It replaces any emote
+// still showing and expires after EMOTE_DURATION.
+router.post('/api/player/emote', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { emote } = await request.json();
+        const userInfo = await user.puter.auth.getUser();
+        const now = Date.now();
+        
+        if (!Object.prototype.hasOwnProperty.call(EMOTES, emote)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid emote',
+                message: `Emote must be one of: ${Object.keys(EMOTES).join(', ')}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const rateLimit = await takeRateLimitToken('emote', userInfo.uuid, now);
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        const shown = { name: emote, emoji: EMOTES[emote], expiresAt: now + EMOTE_DURATION };
+        const player = await markPlayerActive(room, userInfo.uuid, now, { emote: shown });
+        if (!player) {
+            return new Response(JSON.stringify({ 
+                error: 'Not in world',
+                message: 'Join the game before sending emotes'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        return { 
+            success: true,
+            emote: shown,
+            timestamp: now
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to send emote'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// The room's tag round: who is it, the time left and the standings, or the
+// results of the last round between rounds
+router.get('/api/tag', async ({ request, user }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const now = Date.now();
+        const state = await advanceTagRound(room, now);
+        const it = state.status === 'running' && state.players[state.itId];
+        
+        const result = {
+            room: room,
+            round: state.round,
+            status: state.status,
+            tagRange: TAG_GAME.tagRange,
+            minPlayers: TAG_GAME.minPlayers
+        };
+        
+        if (state.status === 'running') {
+            result.endsAt = state.endsAt;
+            result.timeLeft = Math.max(0, state.endsAt - now);
+            result.it = { id: state.itId, username: it ? it.username : null };
+            result.standings = tagStandings(state, now);
+        } else {
+            result.nextRoundAt = state.nextRoundAt;
+            result.results = state.results || [];
+        }
+        
+        if (user && user.puter) {
+            const userInfo = await user.puter.auth.getUser();
+            const profile = await getProfile(userInfo.uuid);
+            result.optedOut = Boolean(profile && profile.tagOptOut);
+        }
+        
+        return result;
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get tag round'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Opt out of tag, or back in: { optOut: true | false }. Kept on the profile,
+// so it lasts across sessions and rooms.
+router.post('/api/tag/opt-out', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { optOut } = await request.json();
+        if (typeof optOut !== 'boolean') {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid request',
+                message: 'optOut must be true or false'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const userInfo = await user.puter.auth.getUser();
+        const profile = await getProfile(userInfo.uuid);
+        if (!profile) {
+            return new Response(JSON.stringify({ 
+                error: 'Profile not found',
+                message: 'Play a game first'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        await saveProfile({ ...profile, tagOptOut: optOut });
+        
+        // Apply it to the live player too; if they were it, it passes on
+        const player = await getPlayer(room, userInfo.uuid);
+        if (player) {
+            await savePlayer(room, { ...player, tagOptOut: optOut, lastUpdate: Date.now() }, player);
+        }
+        const state = await advanceTagRound(room, Date.now());
+        
+        return {
+            success: true,
+            optedOut: optOut,
+            round: state.round,
+            status: state.status
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to update tag settings'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Top players for a stat: ?stat=distance|messages|timeOnline|items,
+// ?period=all|daily|weekly and ?limit=. Signed-in players also get their
+// own rank.
+router.get('/api/leaderboard', async ({ request, user }) => {
+    try {
+        const searchParams = new URL(request.url).searchParams;
+        const stat = searchParams.get('stat') || 'distance';
+        const period = searchParams.get('period') || 'all';
+        const limitParam = searchParams.get('limit');
+        const limit = limitParam === null ? LEADERBOARD_SIZE : Number(limitParam);
+        
+        if (!Object.prototype.hasOwnProperty.call(SCORE_STATS, stat)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid stat',
+                message: `stat must be one of: ${Object.keys(SCORE_STATS).join(', ')}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        if (!LEADERBOARD_PERIODS.includes(period)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid period',
+                message: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_SIZE) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid limit',
+                message: `limit must be a whole number from 1 to ${MAX_LEADERBOARD_SIZE}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const now = Date.now();
+        const ranked = await getRankedScores(stat, period, now);
+        const profiles = await Promise.all(ranked.slice(0, limit).map(entry => getProfile(entry.playerId)));
+        
+        const result = {
+            stat: stat,
+            name: SCORE_STATS[stat].name,
+            unit: SCORE_STATS[stat].unit,
+            period: period,
+            since: leaderboardWindow(period, now).since,
+            entries: ranked.slice(0, limit).map((entry, index) => ({
+                rank: entry.rank,
+                username: profiles[index] ? profiles[index].username : 'unknown',
+                emoji: profiles[index] ? profiles[index].emoji : null,
+                value: entry.value
+            })),
+            players: ranked.length
+        };
+        
+        if (user && user.puter) {
+            const userInfo = await user.puter.auth.getUser();
+            const own = ranked.find(entry => entry.playerId === userInfo.uuid);
+            result.you = own ? { rank: own.rank, value: own.value } : { rank: null, value: 0 };
+        }
+        
+        return result;
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get leaderboard'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Items lying in the room, spawning any that are due
+router.get('/api/items', async ({ request }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const items = await getItems(room, Date.now());
+        
+        return {
+            room: room,
+            items: items,
+            count: items.length,
+            pickupRange: PICKUP_RANGE,
+            timestamp: Date.now()
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get items'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Pick up an item. The distance is checked against the player's stored
+// position, not anything the client sends.
+router.post('/api/items/pickup', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { itemId } = await request.json();
+        const userInfo = await user.puter.auth.getUser();
+        const now = Date.now();
+        
+        const rateLimit = await takeRateLimitToken('pickup', userInfo.uuid, now);
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        const player = await getPlayer(room, userInfo.uuid);
+        if (!player) {
+            return new Response(JSON.stringify({ 
+                error: 'Not in world',
+                message: 'Join the game again to keep playing'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const item = typeof itemId === 'string' ? await me.puter.kv.get(itemKey(room, itemId)) : null;
+        if (!item) {
+            return new Response(JSON.stringify({ 
+                error: 'Item not found',
+                message: 'That item is gone'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const distance = Math.hypot(item.x - player.x, item.y - player.y);
+        if (distance > PICKUP_RANGE) {
+            return new Response(JSON.stringify({ 
+                error: 'Too far',
+                distance: Math.round(distance),
+                message: `Move within ${PICKUP_RANGE} pixels of the item to pick it up`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // Whoever claims the item first gets it. The winner drops the claim
+        // once the item is gone, so a claim of 1 only wins if the item is
+        // still there afterwards. Losers take back their claim and leave the
+        // item to the winner; one that takes it back after the winner
+        // dropped the key leaves it below zero, for sweepRoom to delete.
+        const claims = await me.puter.kv.incr(itemClaimKey(room, item.id));
+        const won = claims === 1 && await me.puter.kv.get(itemKey(room, item.id));
+        if (!won) {
+            if (claims === 1) {
+                await me.puter.kv.del(itemClaimKey(room, item.id));
+            } else {
+                await me.puter.kv.decr(itemClaimKey(room, item.id));
+            }
+            return new Response(JSON.stringify({ 
+                error: 'Already taken',
+                message: 'Someone else got there first'
+            }), {
+                status: 409,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        await me.puter.kv.del(itemKey(room, item.id));
+        await me.puter.kv.del(itemClaimKey(room, item.id));
+        await me.puter.kv.incr(inventoryKey(userInfo.uuid, item.type));
+        await addScore(userInfo.uuid, 'items', 1, now);
+        
+        return {
+            success: true,
+            item: item,
+            inventory: await getInventory(userInfo.uuid)
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to pick up item'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Your inventory, kept across rooms and sessions
+router.get('/api/inventory', async ({ user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const userInfo = await user.puter.auth.getUser();
+        const items = await getInventory(userInfo.uuid);
+        
+        return {
+            items: items,
+            total: items.reduce((sum, entry) => sum + entry.count, 0)
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get inventory'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// List who is online, for the /who chat command
+router.get('/api/who', async ({ request }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const players = await getPlayers(room);
+        const playerList = Array.from(players.values())
+            .map(player => ({ username: player.username, emoji: player.emoji, presence: getPresence(player, Date.now()) }))
+            .sort((a, b) => a.username.localeCompare(b.username));
+        
+        return {
+            players: playerList,
+            count: playerList.length,
+            timestamp: Date.now()
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to list online players'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Change avatar, for the /emoji chat command
+router.post('/api/player/avatar', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { emoji } = await request.json();
+        const userInfo = await user.puter.auth.getUser();
+        
+        if (!isValidAvatar(emoji)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid avatar',
+                message: 'Your avatar must be a single emoji'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const rateLimit = await takeRateLimitToken('avatar', userInfo.uuid, Date.now());
+        if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        
+        const player = await getPlayer(room, userInfo.uuid);
+        if (!player) {
+            return new Response(JSON.stringify({ 
+                error: 'Not in world',
+                message: 'Join the game before changing your avatar'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        // Bumping lastUpdate makes the change show up in delta syncs
+        await savePlayer(room, { ...player, emoji: emoji, lastUpdate: Date.now() }, player);
+        
+        return { 
+            success: true,
+            playerId: userInfo.uuid,
+            emoji: emoji
+        };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to change avatar'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Get your own profile: avatar, last position, join date, play time and preferences
+router.get('/api/player/me', async ({ user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ 
+            error: 'Authentication required'
+        }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    try {
+        const userInfo = await user.puter.auth.getUser();
+        const profile = await getProfile(userInfo.uuid);
+        
+        if (!profile) {
+            return new Response(JSON.stringify({ 
+                error: 'Profile not found',
+                message: 'Join the game once to create your profile'
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const live = await findLivePlayer(userInfo.uuid);
+        return { profile: toPublicProfile(profile, live) };
+        
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to get players'
+            message: 'Failed to get profile'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -88,12 +3034,12 @@ router.get('/api/players', async ({ request }) => {
     }
 });
 
-// Update player position and info
-router.post('/api/player/position', async ({ request, user }) => {
+// Update your own profile. Only emoji and preferences can be set; position
+// and play time are recorded by the worker.
+router.put('/api/player/me', async ({ request, user }) => {
     if (!user || !user.puter) {
         return new Response(JSON.stringify({ 
-            error: 'Authentication required',
-            message: 'Please authenticate with Puter to play'
+            error: 'Authentication required'
         }), {
             status: 401,
             headers: { 'Content-Type': 'application/json' }
@@ -101,47 +3047,63 @@ router.post('/api/player/position', async ({ request, user }) => {
     }
     
     try {
-        const { x, y, emoji } = await request.json();
+        const { emoji, preferences } = await request.json();
         const userInfo = await user.puter.auth.getUser();
         
-        // Validate position data
-        if (typeof x !== 'number' || typeof y !== 'number' || !emoji) {
+        if (emoji !== undefined && !isValidAvatar(emoji)) {
             return new Response(JSON.stringify({ 
-                error: 'Invalid position data',
-                message: 'x, y coordinates and emoji are required'
+                error: 'Invalid avatar',
+                message: 'Your avatar must be a single emoji'
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        if (preferences !== undefined && !isValidPreferences(preferences)) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid preferences',
+                message: `Preferences must be an object of at most ${MAX_PREFERENCES_SIZE} characters of JSON`
             }), {
                 status: 400,
                 headers: { 'Content-Type': 'application/json' }
             });
         }
         
-        // Get current players from shared KV store
-        const players = await getPlayers();
+        // Changing the avatar here shares its limit with POST /api/player/avatar
+        if (emoji !== undefined) {
+            const rateLimit = await takeRateLimitToken('avatar', userInfo.uuid, Date.now());
+            if (!rateLimit.allowed) return rateLimitedResponse(rateLimit.retryAfter);
+        }
         
-        // Update or create player in shared state
-        players.set(userInfo.uuid, {
+        const profile = await getProfile(userInfo.uuid) || {
             id: userInfo.uuid,
-            username: userInfo.username,
-            emoji: emoji,
-            x: Math.round(x),
-            y: Math.round(y),
-            lastUpdate: Date.now()
-        });
+            joinedAt: new Date().toISOString(),
+            lastPosition: null,
+            playTime: 0,
+            preferences: {},
+            lastSeen: Date.now()
+        };
+        profile.username = userInfo.username;
+        if (emoji !== undefined) profile.emoji = emoji;
+        if (preferences !== undefined) profile.preferences = preferences;
+        await saveProfile(profile);
         
-        // Save updated players to shared KV store
-        await savePlayers(players);
+        const live = await findLivePlayer(userInfo.uuid);
         
-        return { 
-            success: true, 
-            playerId: userInfo.uuid,
-            position: { x: Math.round(x), y: Math.round(y) },
-            totalPlayers: players.size
-        };
+        // Keep the avatar other players see in step with the profile
+        if (live && emoji !== undefined && live.player.emoji !== emoji) {
+            const previous = live.player;
+            live.player = { ...previous, emoji: emoji, lastUpdate: Date.now() };
+            await savePlayer(live.room, live.player, previous);
+        }
+        
+        return { success: true, profile: toPublicProfile(profile, live) };
         
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to update player position'
+            message: 'Failed to update profile'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -149,19 +3111,60 @@ router.post('/api/player/position', async ({ request, user }) => {
     }
 });
 
-// Get chat messages
-router.get('/api/chat', async ({ request }) => {
+// Mute a player's chat for a number of minutes (admins only)
+router.post('/api/admin/mute', async ({ request, user }) => {
     try {
-        const chatHistory = await getChatHistory();
-        return {
-            messages: chatHistory.slice(-MAX_CHAT_DISPLAY),
-            totalMessages: chatHistory.length,
-            timestamp: Date.now()
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
+        
+        const { username, minutes, reason } = await request.json();
+        
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MUTE_MINUTES) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid duration',
+                message: `minutes must be between 1 and ${MAX_MUTE_MINUTES}`
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const resolved = await resolveModerationTarget(admin, username);
+        if (resolved.error) {
+            return new Response(JSON.stringify(resolved.error), {
+                status: resolved.status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const { target } = resolved;
+        const now = Date.now();
+        const mute = {
+            userId: target.id,
+            username: target.username,
+            until: now + Math.round(minutes * 60000),
+            reason: sanitizeReason(reason),
+            by: admin.username,
+            at: now
         };
+        await me.puter.kv.set(muteKey(target.id), mute);
+        
+        const entry = await appendAuditEntry({
+            action: 'mute',
+            targetId: target.id,
+            targetUsername: target.username,
+            adminId: admin.id,
+            adminUsername: admin.username,
+            minutes: minutes,
+            reason: mute.reason
+        });
+        
+        return { success: true, mute: mute, audit: entry };
+        
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to get chat messages'
+            message: 'Failed to mute player'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -169,66 +3172,168 @@ router.get('/api/chat', async ({ request }) => {
     }
 });
 
-// Send chat message
-router.post('/api/chat', async ({ request, user }) => {
-    if (!user || !user.puter) {
+// Lift a mute early (admins only)
+router.post('/api/admin/unmute', async ({ request, user }) => {
+    try {
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
+        
+        const { username } = await request.json();
+        const resolved = await resolveModerationTarget(admin, username);
+        if (resolved.error) {
+            return new Response(JSON.stringify(resolved.error), {
+                status: resolved.status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const { target } = resolved;
+        await me.puter.kv.del(muteKey(target.id));
+        
+        const entry = await appendAuditEntry({
+            action: 'unmute',
+            targetId: target.id,
+            targetUsername: target.username,
+            adminId: admin.id,
+            adminUsername: admin.username
+        });
+        
+        return { success: true, audit: entry };
+        
+    } catch (error) {
         return new Response(JSON.stringify({ 
-            error: 'Authentication required',
-            message: 'Please authenticate with Puter to chat'
+            error: 'Server error',
+            message: 'Failed to unmute player'
         }), {
-            status: 401,
+            status: 500,
             headers: { 'Content-Type': 'application/json' }
         });
     }
-    
+});
+
+// Remove a player from the game. They can join again, but their client is
+// told why on its next request. (admins only)
+router.post('/api/admin/kick', async ({ request, user }) => {
     try {
-        const { message } = await request.json();
-        const userInfo = await user.puter.auth.getUser();
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
         
-        // Validate message
-        if (!message || typeof message !== 'string' || message.trim().length === 0) {
-            return new Response(JSON.stringify({ 
-                error: 'Invalid message',
-                message: 'Message cannot be empty'
-            }), {
-                status: 400,
+        const { username, reason } = await request.json();
+        const resolved = await resolveModerationTarget(admin, username);
+        if (resolved.error) {
+            return new Response(JSON.stringify(resolved.error), {
+                status: resolved.status,
                 headers: { 'Content-Type': 'application/json' }
             });
         }
         
-        // Sanitize and limit message length
-        const sanitizedMessage = message.trim().substring(0, 200);
+        const { target } = resolved;
+        const kick = { reason: sanitizeReason(reason), by: admin.username, at: Date.now() };
+        await me.puter.kv.set(kickKey(target.id), kick);
+        await removeFromAllRooms(target.id);
         
-        const chatMessage = {
-            id: Date.now() + Math.random(), // Ensure uniqueness
-            username: userInfo.username,
-            message: sanitizedMessage,
-            timestamp: new Date().toISOString(),
-            userId: userInfo.uuid
+        const entry = await appendAuditEntry({
+            action: 'kick',
+            targetId: target.id,
+            targetUsername: target.username,
+            adminId: admin.id,
+            adminUsername: admin.username,
+            reason: kick.reason
+        });
+        
+        return { success: true, audit: entry };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to kick player'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Ban a player until they are unbanned (admins only)
+router.post('/api/admin/ban', async ({ request, user }) => {
+    try {
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
+        
+        const { username, reason } = await request.json();
+        const resolved = await resolveModerationTarget(admin, username);
+        if (resolved.error) {
+            return new Response(JSON.stringify(resolved.error), {
+                status: resolved.status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const { target } = resolved;
+        const ban = {
+            userId: target.id,
+            username: target.username,
+            reason: sanitizeReason(reason),
+            by: admin.username,
+            at: Date.now()
         };
+        await me.puter.kv.set(banKey(target.id), ban);
+        await removeFromAllRooms(target.id);
+        
+        const entry = await appendAuditEntry({
+            action: 'ban',
+            targetId: target.id,
+            targetUsername: target.username,
+            adminId: admin.id,
+            adminUsername: admin.username,
+            reason: ban.reason
+        });
+        
+        return { success: true, ban: ban, audit: entry };
         
-        // Get current chat history from shared KV store
-        const chatHistory = await getChatHistory();
-        chatHistory.push(chatMessage);
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to ban player'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Lift a ban (admins only)
+router.post('/api/admin/unban', async ({ request, user }) => {
+    try {
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
         
-        // Keep only last MAX_CHAT_HISTORY messages
-        if (chatHistory.length > MAX_CHAT_HISTORY) {
-            chatHistory.shift();
+        const { username } = await request.json();
+        const resolved = await resolveModerationTarget(admin, username);
+        if (resolved.error) {
+            return new Response(JSON.stringify(resolved.error), {
+                status: resolved.status,
+                headers: { 'Content-Type': 'application/json' }
+            });
         }
         
-        // Save updated chat history to shared KV store
-        await saveChatHistory(chatHistory);
+        const { target } = resolved;
+        await me.puter.kv.del(banKey(target.id));
         
-        return { 
-            success: true, 
-            message: chatMessage,
-            totalMessages: chatHistory.length
-        };
+        const entry = await appendAuditEntry({
+            action: 'unban',
+            targetId: target.id,
+            targetUsername: target.username,
+            adminId: admin.id,
+            adminUsername: admin.username
+        });
+        
+        return { success: true, audit: entry };
         
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to send chat message'
+            message: 'Failed to unban player'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -236,40 +3341,59 @@ router.post('/api/chat', async ({ request, user }) => {
     }
 });
 
-// Remove inactive players (cleanup endpoint)
-router.post('/api/cleanup', async ({ request }) => {
+// The chat filter rules in force (admins only)
+router.get('/api/admin/chat-filter', async ({ user }) => {
     try {
-        const now = Date.now();
-        let removedCount = 0;
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
         
-        // Get current players from shared KV store
-        const players = await getPlayers();
+        return { filter: await getChatFilter() };
         
-        // Remove inactive players
-        for (const [id, player] of players.entries()) {
-            if (now - player.lastUpdate > PLAYER_TIMEOUT) {
-                players.delete(id);
-                removedCount++;
-            }
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get chat filter'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Change some of the chat filter rules, e.g. { blockedWords: { words: [...] } }.
+// Settings left out keep their current values. (admins only)
+router.put('/api/admin/chat-filter', async ({ request, user }) => {
+    try {
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
+        
+        const update = await request.json();
+        const merged = mergeChatFilter(await getChatFilter(), update);
+        if (merged.error) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid chat filter',
+                message: merged.error
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
         }
         
-        // Save updated players back to shared KV store
-        await savePlayers(players);
+        await me.puter.kv.set(CHAT_FILTER_KEY, merged.filter);
         
-        // Update game stats
-        await updateGameStats();
+        const entry = await appendAuditEntry({
+            action: 'update-chat-filter',
+            adminId: admin.id,
+            adminUsername: admin.username,
+            rules: Object.keys(update)
+        });
         
-        return { 
-            success: true,
-            removedPlayers: removedCount,
-            activePlayers: players.size,
-            timestamp: now
-        };
+        return { success: true, filter: merged.filter, audit: entry };
         
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to cleanup players'
+            message: 'Failed to update chat filter'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -277,28 +3401,50 @@ router.post('/api/cleanup', async ({ request }) => {
     }
 });
 
-// Get game statistics
-router.get('/api/stats', async ({ request }) => {
+// Replace a room's tile map (admins only). Players already in the room keep
+// playing; anyone standing on a tile that is now blocked can walk out.
+router.put('/api/admin/map', async ({ request, user }) => {
     try {
-        const players = await getPlayers();
-        const chatHistory = await getChatHistory();
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
         
-        return {
-            activePlayers: players.size,
-            totalMessages: chatHistory.length,
-            recentMessages: chatHistory.slice(-5).map(msg => ({
-                username: msg.username,
-                timestamp: msg.timestamp
-            })),
-            uptime: Date.now(),
-            version: '1.0.0',
-            storageType: 'shared_kv'
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const result = validateMap(await request.json());
+        if (result.error) {
+            return new Response(JSON.stringify({ 
+                error: 'Invalid map',
+                message: result.error
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        
+        const current = await getMap(room);
+        const map = {
+            ...result.map,
+            version: current.version + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: admin.username
         };
+        await me.puter.kv.set(mapKey(room), map);
+        
+        const entry = await appendAuditEntry({
+            action: 'update-map',
+            adminId: admin.id,
+            adminUsername: admin.username,
+            room: room,
+            version: map.version
+        });
+        
+        return { success: true, room: room, map: map, audit: entry };
         
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to get game statistics'
+            message: 'Failed to update map'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -306,41 +3452,139 @@ router.get('/api/stats', async ({ request }) => {
     }
 });
 
-// Remove a specific player (for logout)
-router.post('/api/player/logout', async ({ request, user }) => {
-    if (!user || !user.puter) {
+// The newest moderation actions, oldest first (admins only)
+router.get('/api/admin/audit', async ({ user }) => {
+    try {
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
+        
+        const entries = await me.puter.kv.list('mmo_audit:*', true);
+        const log = (entries || [])
+            .map(({ value }) => value)
+            .sort((a, b) => a.seq - b.seq)
+            .slice(-MAX_AUDIT_DISPLAY);
+        
+        return { entries: log, timestamp: Date.now() };
+        
+    } catch (error) {
         return new Response(JSON.stringify({ 
-            error: 'Authentication required'
+            error: 'Server error',
+            message: 'Failed to get audit log'
         }), {
-            status: 401,
+            status: 500,
             headers: { 'Content-Type': 'application/json' }
         });
     }
-    
+});
+
+// List the owner and appointed admins (admins only)
+router.get('/api/admin/admins', async ({ user }) => {
     try {
-        const userInfo = await user.puter.auth.getUser();
+        const admin = await getAdminUser(user);
+        if (!admin) return adminOnlyResponse(user);
         
-        // Get current players from shared KV store
-        const players = await getPlayers();
-        const removed = players.delete(userInfo.uuid);
+        const [owner, admins] = await Promise.all([getOwner(), getAdmins()]);
+        return { owner: owner, admins: admins };
         
-        // Save updated players back to shared KV store
-        await savePlayers(players);
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to list admins'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// Appoint ({ username, admin: true }) or dismiss ({ username, admin: false })
+// an admin. Only the app creator can change the admin list.
+router.post('/api/admin/admins', async ({ request, user }) => {
+    try {
+        const owner = await getOwner();
+        const userInfo = user && user.puter ? await user.puter.auth.getUser() : null;
+        if (!userInfo || userInfo.uuid !== owner.id) {
+            return new Response(JSON.stringify({ 
+                error: userInfo ? 'Owner only' : 'Authentication required',
+                message: 'Only the app creator can change the admin list'
+            }), {
+                status: userInfo ? 403 : 401,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
         
-        // Update game stats
-        await updateGameStats();
+        const { username, admin: makeAdmin } = await request.json();
+        const target = await findUserByName(username);
+        if (!target || typeof makeAdmin !== 'boolean') {
+            return new Response(JSON.stringify({ 
+                error: target ? 'Invalid request' : 'Player not found',
+                message: target ? 'admin must be true or false' : `${username || 'That player'} has never played`
+            }), {
+                status: target ? 400 : 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
         
-        return { 
-            success: true,
-            playerRemoved: removed,
-            playerId: userInfo.uuid,
-            remainingPlayers: players.size
+        const admins = (await getAdmins()).filter(admin => admin.id !== target.id);
+        if (makeAdmin) {
+            admins.push({ id: target.id, username: target.username, addedAt: new Date().toISOString() });
+        }
+        await me.puter.kv.set(ADMINS_KEY, admins);
+        
+        const entry = await appendAuditEntry({
+            action: makeAdmin ? 'add-admin' : 'remove-admin',
+            targetId: target.id,
+            targetUsername: target.username,
+            adminId: owner.id,
+            adminUsername: owner.username
+        });
+        
+        return { success: true, admins: admins, audit: entry };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to update admins'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// The room's tile map, for the client to draw and check moves against
+router.get('/api/map', async ({ request }) => {
+    try {
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        return { room: room, map: await getMap(room) };
+        
+    } catch (error) {
+        return new Response(JSON.stringify({ 
+            error: 'Server error',
+            message: 'Failed to get map'
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+});
+
+// List rooms with their population and player cap
+router.get('/api/rooms', async () => {
+    try {
+        const rooms = await getRoomSummaries();
+        return {
+            rooms: rooms,
+            defaultRoom: DEFAULT_ROOM,
+            timestamp: Date.now()
         };
         
     } catch (error) {
         return new Response(JSON.stringify({ 
             error: 'Server error',
-            message: 'Failed to logout player'
+            message: 'Failed to list rooms'
         }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -349,13 +3593,16 @@ router.post('/api/player/logout', async ({ request, user }) => {
 });
 
 // Health check endpoint
-router.get('/health', async () => {
+router.get('/health', async ({ request }) => {
     try {
-        const players = await getPlayers();
-        const chatHistory = await getChatHistory();
+        const room = getRoomId(request);
+        if (!room) return roomNotFoundResponse(request);
+        
+        const { players, chatHistory } = await getGameSnapshot(room);
         
         return { 
             status: 'ok', 
+            room: room,
             players: players.size, 
             messages: chatHistory.length,
             timestamp: Date.now(),
@@ -374,27 +3621,57 @@ router.get('/health', async () => {
 });
 
 // API documentation endpoint
-router.get('/api', async () => {
+router.get('/api', async ({ request }) => {
     try {
-        const players = await getPlayers();
-        const chatHistory = await getChatHistory();
+        const room = getRoomId(request) || DEFAULT_ROOM;
+        const { players, chatHistory } = await getGameSnapshot(room);
         
         return {
             name: 'MMO Game API',
             version: '1.0.0',
             storageType: 'shared_kv',
             description: 'Multiplayer game backend using app creator\'s shared KV store',
+            rooms: 'Every endpoint takes ?room=<id> (default: ' + DEFAULT_ROOM + ')',
+            world: { width: WORLD_WIDTH, height: WORLD_HEIGHT, cellSize: CELL_SIZE },
             endpoints: {
-                'GET /api/players': 'Get all active players',
+                'GET /api/rooms': 'List rooms with their population',
+                'GET /api/map': 'Get the room\'s tile map',
+                'GET /api/items': 'List items lying in the room',
+                'POST /api/items/pickup': 'Pick up an item within reach',
+                'GET /api/inventory': 'Get your inventory',
+                'GET /api/tag': 'The room\'s tag round: who is it, time left and standings',
+                'POST /api/tag/opt-out': 'Opt out of tag, or back in',
+                'GET /api/leaderboard': 'Top players (?stat=distance|messages|timeOnline|items&period=all|daily|weekly)',
+                'GET /api/players': 'Get active players (?since=<cursor> for changes only, ?x=&y=&radius= or &width=&height= for one area)',
                 'POST /api/player/position': 'Update player position',
-                'GET /api/chat': 'Get chat messages',
-                'POST /api/chat': 'Send chat message',
-                'POST /api/cleanup': 'Remove inactive players',
+                'GET /api/chat': 'Get chat messages (?after=<seq> for newer messages only)',
+                'GET /api/sync': 'Players, chat and stats in one request, held until something changes (?since=&after=&wait=)',
+                'POST /api/chat': 'Send chat message (channel: global, say or whisper)',
+                'POST /api/cleanup': 'Sweep a room for timed-out players (admins)',
+                'POST /api/player/heartbeat': 'Keep your player online while idle',
                 'POST /api/player/logout': 'Remove player from game',
+                'POST /api/player/avatar': 'Change your emoji avatar',
+                'GET /api/emotes': 'List the emotes players can send',
+                'POST /api/player/emote': 'Show an emote over your avatar',
+                'GET /api/player/me': 'Get your profile',
+                'PUT /api/player/me': 'Update your profile (emoji, preferences)',
+                'POST /api/admin/mute': 'Mute a player for some minutes (admins)',
+                'POST /api/admin/unmute': 'Lift a mute (admins)',
+                'POST /api/admin/kick': 'Remove a player from the game (admins)',
+                'POST /api/admin/ban': 'Ban a player (admins)',
+                'POST /api/admin/unban': 'Lift a ban (admins)',
+                'GET /api/admin/audit': 'Moderation audit log (admins)',
+                'GET /api/admin/chat-filter': 'Chat filter rules (admins)',
+                'PUT /api/admin/chat-filter': 'Change chat filter rules (admins)',
+                'PUT /api/admin/map': 'Replace the room\'s tile map (admins)',
+                'GET /api/admin/admins': 'List admins (admins)',
+                'POST /api/admin/admins': 'Appoint or dismiss an admin (app creator)',
+                'GET /api/who': 'List online players',
                 'GET /api/stats': 'Get game statistics',
                 'GET /health': 'Health check'
             },
             currentStats: {
+                room: room,
                 activePlayers: players.size,
                 totalMessages: chatHistory.length,
                 lastUpdate: Date.now()
@@ -418,12 +3695,39 @@ router.get('/*path', async ({ params }) => {
         path: params.path,
         message: 'The requested endpoint does not exist',
         availableEndpoints: [
+            'GET /api/rooms',
+            'GET /api/map',
+            'GET /api/items',
+            'POST /api/items/pickup',
+            'GET /api/inventory',
+            'GET /api/leaderboard',
+            'GET /api/tag',
+            'POST /api/tag/opt-out',
             'GET /api/players',
             'POST /api/player/position', 
             'GET /api/chat',
+            'GET /api/sync',
             'POST /api/chat',
             'POST /api/cleanup',
+            'POST /api/player/heartbeat',
             'POST /api/player/logout',
+            'POST /api/player/avatar',
+            'GET /api/emotes',
+            'POST /api/player/emote',
+            'GET /api/player/me',
+            'PUT /api/player/me',
+            'POST /api/admin/mute',
+            'POST /api/admin/unmute',
+            'POST /api/admin/kick',
+            'POST /api/admin/ban',
+            'POST /api/admin/unban',
+            'GET /api/admin/audit',
+            'GET /api/admin/chat-filter',
+            'PUT /api/admin/chat-filter',
+            'PUT /api/admin/map',
+            'GET /api/admin/admins',
+            'POST /api/admin/admins',
+            'GET /api/who',
             'GET /api/stats',
             'GET /health',
             'GET /api'
@@ -452,7 +3756,7 @@ router.put('/*path', async ({ params }) => {
         error: 'Method not allowed',
         path: params.path,
         method: 'PUT',
-        message: 'PUT method is not supported'
+        message: 'PUT is not supported on this endpoint'
     }), {
         status: 405,
         headers: { 'Content-Type': 'application/json' }
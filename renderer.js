@@ -0,0 +1,452 @@
+// Renderers - draw the game world once per animation frame
+// game.js keeps the scene and passes it to renderer.render(scene) from
+// requestAnimationFrame, so the local player, remote players, items, name
+// tags, the selection highlight and speech bubbles all go the same way.
+// The canvas renderer draws everything on one <canvas>. The DOM renderer
+// keeps absolutely positioned divs; it is the fallback for browsers without
+// canvas, or when GAME_CONFIG.renderer is 'dom'.
+//
+// A scene looks like this, with positions in world coordinates:
+//
+//   {
+//       camera: { x, y },            // the viewport's top-left corner
+//       players: [{ id, username, emoji, x, y, presence, isLocal, isIt, selected }],
+//       items: [{ id, type, emoji, x, y }],
+//       bubbles: [{ playerId, emote, text, kind, opacity }]
+//   }
+
+const RENDERERS = ['canvas', 'dom'];
+const BUBBLE_MAX_WIDTH = 160;
+const BUBBLE_MAX_LINES = 3;
+const BUBBLE_GAP = 4; // pixels between an avatar and its bubble, and between stacked bubbles
+const PRESENCE_OPACITY = { active: 1, idle: 0.6, away: 0.3 };
+
+// options: { container, world, playerSize }. container is the viewport
+// element; world is the layer the DOM renderer moves with the camera.
+function createRenderer(kind, options) {
+    if (!RENDERERS.includes(kind)) {
+        console.warn(`Unknown renderer "${kind}", using canvas`);
+        kind = 'canvas';
+    }
+
+    const canvas = document.createElement('canvas');
+    if (kind === 'canvas' && canvas.getContext && canvas.getContext('2d')) {
+        return createCanvasRenderer(canvas, options);
+    }
+    return createDomRenderer(options);
+}
+
+// Where a remote player was at the given time, between the two snapshots
+// around it. Before the first snapshot or after the last they stand still.
+function interpolatePosition(snapshots, time) {
+    const last = snapshots[snapshots.length - 1];
+    if (time >= last.time) return { x: last.x, y: last.y };
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+        const from = snapshots[i - 1];
+        if (from.time <= time) {
+            const to = snapshots[i];
+            const progress = (time - from.time) / (to.time - from.time);
+            return {
+                x: from.x + (to.x - from.x) * progress,
+                y: from.y + (to.y - from.y) * progress
+            };
+        }
+    }
+    return { x: snapshots[0].x, y: snapshots[0].y };
+}
+
+// Place each bubble above its avatar. Bubbles of players standing close
+// together would overlap, so going from the lowest avatar up, a bubble that
+// overlaps one already placed moves up above it. size(bubble) returns the
+// bubble's { width, height }; returns the bubbles with a rect added.
+function stackBubbles(bubbles, anchors, size, playerSize) {
+    const placed = [];
+    return bubbles
+        .filter(bubble => anchors.has(bubble.playerId))
+        .map(bubble => ({ bubble, anchor: anchors.get(bubble.playerId), ...size(bubble) }))
+        .sort((a, b) => b.anchor.y - a.anchor.y)
+        .map(({ bubble, anchor, width, height }) => {
+            const rect = {
+                left: anchor.x - width / 2,
+                top: anchor.y - playerSize / 2 - BUBBLE_GAP - height,
+                width,
+                height
+            };
+
+            let overlap;
+            while ((overlap = placed.find(other => rectsOverlap(rect, other)))) {
+                rect.top = overlap.top - BUBBLE_GAP - height;
+            }
+            placed.push(rect);
+            return { ...bubble, rect };
+        });
+}
+
+function rectsOverlap(a, b) {
+    return a.left < b.left + b.width && b.left < a.left + a.width &&
+        a.top < b.top + b.height && b.top < a.top + a.height;
+}
+
+function bubbleAnchors(players) {
+    return new Map(players.map(player => [player.id, player]));
+}
+
+function createCanvasRenderer(canvas, { container, world, playerSize }) {
+    const context = canvas.getContext('2d');
+    canvas.className = 'world-canvas';
+    container.appendChild(canvas);
+    world.style.display = 'none';
+
+    let map = null;
+    let mapImage = null;
+    let worldSize = { width: 0, height: 0 };
+
+    // Match the canvas to the viewport, in device pixels so text stays sharp
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    function drawMap(camera, viewport) {
+        context.fillStyle = '#ecf0f1';
+        context.fillRect(camera.x, camera.y, viewport.width, viewport.height);
+        if (!mapImage) return;
+
+        // One pixel per tile, scaled up without smoothing
+        context.imageSmoothingEnabled = false;
+        context.drawImage(mapImage, 0, 0, worldSize.width, worldSize.height);
+
+        // Grid lines along the visible tile edges
+        const tileSize = map.tileSize;
+        context.strokeStyle = 'rgba(52, 73, 94, 0.12)';
+        context.lineWidth = 1;
+        context.beginPath();
+        for (let x = Math.floor(camera.x / tileSize) * tileSize; x <= camera.x + viewport.width; x += tileSize) {
+            context.moveTo(x + 0.5, camera.y);
+            context.lineTo(x + 0.5, camera.y + viewport.height);
+        }
+        for (let y = Math.floor(camera.y / tileSize) * tileSize; y <= camera.y + viewport.height; y += tileSize) {
+            context.moveTo(camera.x, y + 0.5);
+            context.lineTo(camera.x + viewport.width, y + 0.5);
+        }
+        context.stroke();
+    }
+
+    function drawItem(item) {
+        context.font = '16px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(item.emoji, item.x, item.y);
+    }
+
+    function drawPlayer(player) {
+        context.save();
+        context.globalAlpha = PRESENCE_OPACITY[player.presence] || 1;
+        if (player.presence === 'away') {
+            context.filter = 'grayscale(1)';
+        }
+
+        if (player.selected) {
+            context.strokeStyle = '#3498db';
+            context.lineWidth = 2;
+            context.beginPath();
+            context.arc(player.x, player.y, playerSize * 0.75, 0, Math.PI * 2);
+            context.stroke();
+        }
+
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.font = `${playerSize}px sans-serif`;
+        context.fillText(player.emoji, player.x, player.y);
+
+        if (player.isIt) {
+            context.font = '12px sans-serif';
+            context.fillText('🏷️', player.x + playerSize / 2, player.y - playerSize / 2 - 2);
+        }
+
+        // Name tag under the avatar, outlined so it reads on any tile
+        context.font = '11px sans-serif';
+        context.textBaseline = 'top';
+        context.lineWidth = 3;
+        context.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        context.strokeText(player.username, player.x, player.y + playerSize / 2 + 2);
+        context.fillStyle = player.isLocal ? '#2980b9' : '#2c3e50';
+        context.fillText(player.username, player.x, player.y + playerSize / 2 + 2);
+        context.restore();
+    }
+
+    // Word-wrapped to BUBBLE_MAX_WIDTH, with an ellipsis past BUBBLE_MAX_LINES
+    function bubbleLines(bubble) {
+        if (!bubble.text) return [];
+
+        context.font = bubbleFont(bubble);
+        const lines = [];
+        let line = '';
+        bubble.text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && context.measureText(candidate).width > BUBBLE_MAX_WIDTH - 12) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+
+        if (lines.length > BUBBLE_MAX_LINES) {
+            lines.length = BUBBLE_MAX_LINES;
+            lines[BUBBLE_MAX_LINES - 1] += '…';
+        }
+        return lines;
+    }
+
+    function bubbleFont(bubble) {
+        return `${bubble.kind === 'action' ? 'italic ' : ''}12px sans-serif`;
+    }
+
+    function measureBubble(bubble) {
+        const lines = bubbleLines(bubble);
+        context.font = bubbleFont(bubble);
+        const textWidth = Math.max(0, ...lines.map(line => Math.min(context.measureText(line).width, BUBBLE_MAX_WIDTH - 12)));
+        const emoteWidth = bubble.emote ? 22 : 0;
+        const gap = bubble.emote && lines.length > 0 ? 4 : 0;
+        return {
+            width: emoteWidth + gap + textWidth + 12,
+            height: Math.max(bubble.emote ? 22 : 0, lines.length * 15) + 6
+        };
+    }
+
+    function drawBubble(bubble) {
+        const { left, top, width, height } = bubble.rect;
+        context.save();
+        context.globalAlpha = bubble.opacity;
+
+        context.fillStyle = 'white';
+        context.strokeStyle = '#bdc3c7';
+        context.lineWidth = 1;
+        context.beginPath();
+        if (context.roundRect) {
+            context.roundRect(left, top, width, height, 8);
+        } else {
+            context.rect(left, top, width, height);
+        }
+        context.fill();
+        context.stroke();
+
+        let x = left + 6;
+        context.textBaseline = 'middle';
+        context.textAlign = 'left';
+        if (bubble.emote) {
+            context.font = '18px sans-serif';
+            context.fillText(bubble.emote, x, top + height / 2);
+            x += 26;
+        }
+
+        const lines = bubbleLines(bubble);
+        context.font = bubbleFont(bubble);
+        context.fillStyle = '#2c3e50';
+        const firstLine = top + height / 2 - (lines.length - 1) * 7.5;
+        lines.forEach((line, index) => {
+            context.fillText(line, x, firstLine + index * 15, BUBBLE_MAX_WIDTH - 12);
+        });
+        context.restore();
+    }
+
+    return {
+        kind: 'canvas',
+
+        setMap(newMap, size) {
+            map = newMap;
+            worldSize = size;
+            mapImage = document.createElement('canvas');
+            mapImage.width = map.rows[0].length;
+            mapImage.height = map.rows.length;
+            const mapContext = mapImage.getContext('2d');
+            map.rows.forEach((row, y) => {
+                [...row].forEach((key, x) => {
+                    mapContext.fillStyle = map.tiles[key].color;
+                    mapContext.fillRect(x, y, 1, 1);
+                });
+            });
+        },
+
+        render(scene) {
+            const viewport = resize();
+            context.clearRect(0, 0, viewport.width, viewport.height);
+
+            context.save();
+            context.translate(-scene.camera.x, -scene.camera.y);
+            drawMap(scene.camera, viewport);
+            scene.items.forEach(drawItem);
+
+            // Lower players are drawn last, so they stand in front
+            const players = [...scene.players].sort((a, b) => a.y - b.y);
+            players.forEach(drawPlayer);
+
+            stackBubbles(scene.bubbles, bubbleAnchors(scene.players), measureBubble, playerSize)
+                .forEach(drawBubble);
+            context.restore();
+        },
+
+        clear() {
+            const viewport = resize();
+            context.clearRect(0, 0, viewport.width, viewport.height);
+        }
+    };
+}
+
+function createDomRenderer({ world, playerSize }) {
+    world.style.display = '';
+    const elements = new Map(); // 'player:<id>', 'item:<id>' or 'bubble:<id>' -> element
+
+    function elementFor(key, className, build) {
+        let element = elements.get(key);
+        if (!element) {
+            element = document.createElement('div');
+            element.className = className;
+            if (build) build(element);
+            world.appendChild(element);
+            elements.set(key, element);
+        }
+        return element;
+    }
+
+    // Only touch the DOM for values that changed since the last frame
+    function setText(element, text) {
+        if (element.textContent !== text) element.textContent = text;
+    }
+
+    function place(element, x, y) {
+        const left = Math.round(x) + 'px';
+        const top = Math.round(y) + 'px';
+        if (element.style.left !== left) element.style.left = left;
+        if (element.style.top !== top) element.style.top = top;
+    }
+
+    function renderPlayer(player) {
+        const element = elementFor('player:' + player.id, 'player', built => {
+            built.dataset.playerId = player.id;
+            const emoji = document.createElement('span');
+            emoji.className = 'player-emoji';
+            const nameTag = document.createElement('span');
+            nameTag.className = 'name-tag';
+            built.append(emoji, nameTag);
+        });
+
+        setText(element.firstChild, player.emoji);
+        setText(element.lastChild, player.username);
+        element.classList.toggle('is-it', player.isIt);
+        element.classList.toggle('selected', player.selected);
+        element.classList.toggle('local', player.isLocal);
+        if (element.dataset.presence !== player.presence) {
+            element.dataset.presence = player.presence;
+            element.title = player.presence === 'active' ? '' : player.presence;
+        }
+        place(element, player.x - playerSize / 2, player.y - playerSize / 2);
+    }
+
+    function renderItem(item) {
+        const element = elementFor('item:' + item.id, 'item', built => {
+            built.dataset.itemId = item.id;
+            built.title = item.type;
+        });
+        setText(element, item.emoji);
+        place(element, item.x - playerSize / 2, item.y - playerSize / 2);
+    }
+
+    // Text nodes only, like the chat panel
+    function fillBubble(bubble) {
+        const element = elementFor('bubble:' + bubble.playerId, 'speech-bubble');
+        const content = `${bubble.emote || ''}|${bubble.kind}|${bubble.text || ''}`;
+        if (element.dataset.content !== content) {
+            element.dataset.content = content;
+            element.textContent = '';
+            if (bubble.emote) {
+                const emote = document.createElement('span');
+                emote.className = 'bubble-emote';
+                emote.textContent = bubble.emote;
+                element.appendChild(emote);
+            }
+            if (bubble.text) {
+                const text = document.createElement('span');
+                text.className = 'bubble-text';
+                text.classList.toggle('action', bubble.kind === 'action');
+                text.textContent = bubble.text;
+                element.appendChild(text);
+            }
+        }
+        element.style.opacity = bubble.opacity;
+        return element;
+    }
+
+    return {
+        kind: 'dom',
+
+        // One pixel per tile, which CSS scales up to the world's size
+        setMap(map, size) {
+            const canvas = document.createElement('canvas');
+            canvas.width = map.rows[0].length;
+            canvas.height = map.rows.length;
+
+            const context = canvas.getContext && canvas.getContext('2d');
+            if (context) {
+                map.rows.forEach((row, y) => {
+                    [...row].forEach((key, x) => {
+                        context.fillStyle = map.tiles[key].color;
+                        context.fillRect(x, y, 1, 1);
+                    });
+                });
+                world.style.setProperty('--map-image', `url("${canvas.toDataURL()}")`);
+            }
+            world.style.setProperty('--tile-size', map.tileSize + 'px');
+            world.style.width = size.width + 'px';
+            world.style.height = size.height + 'px';
+        },
+
+        render(scene) {
+            world.style.transform = `translate(${-Math.round(scene.camera.x)}px, ${-Math.round(scene.camera.y)}px)`;
+
+            const shown = new Set();
+            scene.players.forEach(player => {
+                renderPlayer(player);
+                shown.add('player:' + player.id);
+            });
+            scene.items.forEach(item => {
+                renderItem(item);
+                shown.add('item:' + item.id);
+            });
+
+            // Fill every bubble first and measure after, so the layout is
+            // worked out once per frame
+            const filled = new Map(scene.bubbles.map(bubble => [bubble.playerId, fillBubble(bubble)]));
+            const size = bubble => {
+                const element = filled.get(bubble.playerId);
+                return { width: element.offsetWidth, height: element.offsetHeight };
+            };
+            stackBubbles(scene.bubbles, bubbleAnchors(scene.players), size, playerSize).forEach(bubble => {
+                place(filled.get(bubble.playerId), bubble.rect.left, bubble.rect.top);
+                shown.add('bubble:' + bubble.playerId);
+            });
+
+            elements.forEach((element, key) => {
+                if (!shown.has(key)) {
+                    element.remove();
+                    elements.delete(key);
+                }
+            });
+        },
+
+        clear() {
+            elements.forEach(element => element.remove());
+            elements.clear();
+        }
+    };
+}
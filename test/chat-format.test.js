@@ -0,0 +1,48 @@
+// chat-format.js and mmo.js each sanitize chat text, as the worker can't load
+// the page's scripts. These tests run both copies over the same inputs.
+// Run with: node --test test/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createRuntime } = require('../local/runtime');
+
+const CHAT_FORMAT_PATH = path.join(__dirname, '..', 'chat-format.js');
+
+function loadChatFormat() {
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(CHAT_FORMAT_PATH, 'utf8'), context, { filename: CHAT_FORMAT_PATH });
+    return context;
+}
+
+describe('sanitizeChatText', () => {
+    const client = loadChatFormat();
+    const worker = createRuntime().globals;
+
+    it('cuts messages at the same length', () => {
+        assert.strictEqual(vm.runInContext('CHAT_MAX_LENGTH', client), vm.runInContext('MAX_MESSAGE_LENGTH', worker));
+    });
+
+    it('gives the same text in the page and the worker', () => {
+        const inputs = [
+            'hello',
+            '  spaced \t out \n text  ',
+            'zero\u200Bwidth and \u202Ereversed\u202C',
+            'bell\u0007 and delete\u007F',
+            'cafe\u0301 in NFD',
+            '\uFEFFbyte order mark',
+            '@alice have a :wave: at https://example.com',
+            '😀'.repeat(250),
+            'a'.repeat(199) + ' 😀',
+            '',
+            '   ',
+            42,
+            null
+        ];
+        for (const input of inputs) {
+            assert.strictEqual(client.sanitizeChatText(input), worker.sanitizeChatText(input), JSON.stringify(input));
+        }
+    });
+});
@@ -0,0 +1,149 @@
+// Client tests for game.js, run against the local runtime with a simulated
+// network in between. game.js runs in a sandbox with a stub document.
+// Run with: node --test test/
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createRuntime, createUser, createClockedDate } = require('../local/runtime');
+
+const GAME_PATH = path.join(__dirname, '..', 'game.js');
+const alice = createUser({ uuid: 'uuid-alice', username: 'alice' });
+
+function createClock(start = 1700000000000) {
+    let now = start;
+    return {
+        now: () => now,
+        advance: (ms) => { now += ms; }
+    };
+}
+
+// Enough of the DOM for game.js to load; nothing is drawn in these tests
+function createStubDocument() {
+    const element = () => ({
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {} },
+        addEventListener() {},
+        appendChild() {},
+        querySelectorAll: () => []
+    });
+    return {
+        getElementById: element,
+        createElement: element,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+}
+
+function loadGame(clock) {
+    const context = vm.createContext({
+        console,
+        document: createStubDocument(),
+        Date: createClockedDate(clock),
+        setTimeout,
+        clearTimeout,
+        URLSearchParams,
+        AbortController
+    });
+    vm.runInContext(fs.readFileSync(GAME_PATH, 'utf8'), context, { filename: GAME_PATH });
+    return { context, gameState: vm.runInContext('gameState', context) };
+}
+
+// Let pending promise callbacks in the game and the runtime run
+async function settle() {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+describe('game.js client', () => {
+    let clock;
+    let runtime;
+
+    beforeEach(() => {
+        clock = createClock();
+        runtime = createRuntime({ clock });
+    });
+
+    describe('movement prediction', () => {
+        // Requests reach the worker after half the round trip and the answer
+        // gets back after the whole of it
+        function createSlowTransport(roundTrip) {
+            const inFlight = [];
+            const responses = [];
+
+            return {
+                responses,
+                fetch(urlPath, options = {}) {
+                    return new Promise(resolve => {
+                        inFlight.push({ urlPath, options, sentAt: clock.now(), resolve, response: null });
+                    });
+                },
+                async deliver() {
+                    for (const request of inFlight.slice()) {
+                        if (!request.response && clock.now() >= request.sentAt + roundTrip / 2) {
+                            request.response = await runtime.request(request.options.method || 'GET', request.urlPath, {
+                                user: alice,
+                                body: request.options.body
+                            });
+                            responses.push(await request.response.clone().json());
+                        }
+                        if (request.response && clock.now() >= request.sentAt + roundTrip) {
+                            inFlight.splice(inFlight.indexOf(request), 1);
+                            request.resolve(request.response);
+                        }
+                    }
+                },
+                get idle() {
+                    return inFlight.length === 0;
+                }
+            };
+        }
+
+        it('walks at full speed over a 400ms round trip without being corrected or pulled back', async () => {
+            const { context, gameState } = loadGame(clock);
+            const transport = createSlowTransport(400);
+            let direction = { x: 1, y: 0 };
+
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            Object.assign(gameState, {
+                user: { uuid: 'uuid-alice', username: 'alice' },
+                selectedEmoji: '😀',
+                connected: true,
+                transport: transport,
+                input: { getDirection: () => direction },
+                playerPosition: { x: 1000, y: 1000 }
+            });
+
+            // Hold the key for 3 seconds, then let the last updates land
+            let lastX = 1000;
+            for (let time = 0; time < 4000; time += 20) {
+                if (time === 3000) direction = { x: 0, y: 0 };
+                clock.advance(20);
+                await transport.deliver();
+                context.moveFromInput(clock.now());
+                await settle();
+
+                assert.ok(gameState.playerPosition.x >= lastX, `pulled back from ${lastX} to ${gameState.playerPosition.x}`);
+                lastX = gameState.playerPosition.x;
+            }
+
+            assert.ok(transport.idle);
+            assert.ok(transport.responses.length > 5);
+            assert.ok(transport.responses.every(response => response.corrected === false));
+            assert.strictEqual(gameState.pendingInputs.length, 0);
+
+            // 18px every 100ms for 3 seconds, and the worker agrees
+            assert.deepStrictEqual({ ...gameState.playerPosition }, { x: 1540, y: 1000 });
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.deepStrictEqual({ x: body.players[0].x, y: body.players[0].y }, { x: 1540, y: 1000 });
+        });
+    });
+});
+
+async function json(response) {
+    return { status: response.status, body: await response.json() };
+}
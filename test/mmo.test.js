@@ -0,0 +1,2107 @@
+// Route tests for mmo.js, run against the local runtime
+// Run with: node --test test/
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createRuntime, createUser } = require('../local/runtime');
+const { createServer, USER_HEADER } = require('../local/server');
+
+const alice = createUser({ uuid: 'uuid-alice', username: 'alice' });
+const bob = createUser({ uuid: 'uuid-bob', username: 'bob' });
+
+function createClock(start = 1700000000000) {
+    let now = start;
+    return {
+        now: () => now,
+        advance: (ms) => { now += ms; }
+    };
+}
+
+async function json(response) {
+    return { status: response.status, body: await response.json() };
+}
+
+describe('mmo.js worker routes', () => {
+    let clock;
+    let runtime;
+
+    beforeEach(() => {
+        clock = createClock();
+        runtime = createRuntime({ clock });
+    });
+
+    describe('GET /api/players', () => {
+        it('returns an empty list when nobody has joined', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.players, []);
+            assert.strictEqual(body.count, 0);
+        });
+
+        it('lists players that posted a position', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 100, y: 120, emoji: '😀' } });
+            await runtime.request('POST', '/api/player/position', { user: bob, body: { x: 300, y: 310, emoji: '🐸' } });
+
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(body.count, 2);
+            const ids = body.players.map(p => p.id).sort();
+            assert.deepStrictEqual(ids, ['uuid-alice', 'uuid-bob']);
+        });
+    });
+
+    describe('GET /api/players?since=', () => {
+        it('returns the full list with a cursor when no cursor is given', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(body.full, true);
+            assert.strictEqual(body.cursor, clock.now());
+            assert.deepStrictEqual(body.removed, []);
+        });
+
+        it('returns only players that changed since the cursor', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            await runtime.request('POST', '/api/player/position', { user: bob, body: { x: 1000, y: 1000, emoji: '🐸' } });
+            clock.advance(5000);
+            const first = await json(await runtime.request('GET', '/api/players'));
+
+            clock.advance(5000);
+            await runtime.request('POST', '/api/player/position', { user: bob, body: { x: 1020, y: 1000, emoji: '🐸' } });
+
+            const { body } = await json(await runtime.request('GET', `/api/players?since=${first.body.cursor}`));
+            assert.strictEqual(body.full, false);
+            assert.deepStrictEqual(body.players.map(p => p.id), ['uuid-bob']);
+            assert.strictEqual(body.players[0].x, 1020);
+            assert.strictEqual(body.count, 2);
+        });
+
+        it('reports players who left as removals', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            const first = await json(await runtime.request('GET', '/api/players'));
+
+            clock.advance(5000);
+            await runtime.request('POST', '/api/player/logout', { user: alice });
+
+            const { body } = await json(await runtime.request('GET', `/api/players?since=${first.body.cursor}`));
+            assert.deepStrictEqual(body.players, []);
+            assert.deepStrictEqual(body.removed, ['uuid-alice']);
+            assert.strictEqual(body.count, 0);
+        });
+
+        it('falls back to the full list when the cursor has expired', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            const first = await json(await runtime.request('GET', '/api/players'));
+
+            clock.advance(10 * 60 * 1000);
+            const { body } = await json(await runtime.request('GET', `/api/players?since=${first.body.cursor}`));
+            assert.strictEqual(body.full, true);
+        });
+    });
+
+    describe('GET /api/players with an area', () => {
+        async function join(user) {
+            await runtime.request('POST', '/api/player/position', { user, body: { x: 1000, y: 1000, emoji: '😀' } });
+        }
+
+        // Walk in 60px steps, one per second, so no step is shortened
+        async function walkTo(user, x, y) {
+            const { uuid } = await user.puter.auth.getUser();
+            for (;;) {
+                const { body } = await json(await runtime.request('GET', '/api/players'));
+                const player = body.players.find(p => p.id === uuid);
+                const distance = Math.hypot(x - player.x, y - player.y);
+                if (distance === 0) return;
+
+                const step = Math.min(1, 60 / distance);
+                clock.advance(1000);
+                await runtime.request('POST', '/api/player/position', {
+                    user,
+                    body: { x: player.x + (x - player.x) * step, y: player.y + (y - player.y) * step, emoji: '😀' }
+                });
+            }
+        }
+
+        it('returns only players in the cells the area overlaps', async () => {
+            await join(alice);
+            await join(bob);
+            await walkTo(bob, 1600, 1000);
+
+            const { status, body } = await json(await runtime.request('GET', '/api/players?x=1000&y=1000&radius=100'));
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.players.map(p => p.id), ['uuid-alice']);
+            assert.strictEqual(body.count, 1);
+            assert.deepStrictEqual(body.area, { left: 900, top: 900, right: 1100, bottom: 1100 });
+
+            const wide = await json(await runtime.request('GET', '/api/players?x=1300&y=1000&width=800&height=200'));
+            assert.deepStrictEqual(wide.body.players.map(p => p.id).sort(), ['uuid-alice', 'uuid-bob']);
+        });
+
+        it('reports players who walk out of the area as removed', async () => {
+            await join(alice);
+            await join(bob);
+            clock.advance(5000);
+            const first = await json(await runtime.request('GET', '/api/players?x=1000&y=1000&radius=100'));
+
+            await walkTo(bob, 1600, 1000);
+
+            const { body } = await json(await runtime.request('GET', `/api/players?x=1000&y=1000&radius=100&since=${first.body.cursor}`));
+            assert.strictEqual(body.full, false);
+            assert.deepStrictEqual(body.players, []);
+            assert.deepStrictEqual(body.removed, ['uuid-bob']);
+        });
+
+        it('keeps players who cross cells inside the area', async () => {
+            await join(alice);
+            await join(bob);
+            clock.advance(5000);
+            const first = await json(await runtime.request('GET', '/api/players?x=1000&y=1000&radius=300'));
+
+            // 1000 is a cell boundary, so this crosses from one cell into the next
+            await walkTo(bob, 940, 1000);
+
+            const { body } = await json(await runtime.request('GET', `/api/players?x=1000&y=1000&radius=300&since=${first.body.cursor}`));
+            assert.deepStrictEqual(body.players.map(p => [p.id, p.x]), [['uuid-bob', 940]]);
+            assert.deepStrictEqual(body.removed, []);
+        });
+
+        it('reports players who log out inside the area as removed', async () => {
+            await join(alice);
+            await join(bob);
+            clock.advance(5000);
+            const first = await json(await runtime.request('GET', '/api/players?x=1000&y=1000&radius=100'));
+
+            clock.advance(5000);
+            await runtime.request('POST', '/api/player/logout', { user: bob });
+
+            const { body } = await json(await runtime.request('GET', `/api/players?x=1000&y=1000&radius=100&since=${first.body.cursor}`));
+            assert.deepStrictEqual(body.removed, ['uuid-bob']);
+        });
+
+        it('rejects malformed areas with 400', async () => {
+            for (const query of ['x=1000', 'x=1000&y=1000', 'x=a&y=1&radius=5', 'x=1&y=1&radius=-5']) {
+                const { status, body } = await json(await runtime.request('GET', `/api/players?${query}`));
+                assert.strictEqual(status, 400, query);
+                assert.strictEqual(body.error, 'Invalid area');
+            }
+        });
+    });
+
+    describe('POST /api/player/position', () => {
+        it('places new players at the spawn point', async () => {
+            const { status, body } = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 100, y: 100, emoji: '😀' }
+            }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.success, true);
+            assert.strictEqual(body.playerId, 'uuid-alice');
+            assert.deepStrictEqual(body.position, { x: 1000, y: 1000 });
+            assert.strictEqual(body.corrected, true);
+            assert.strictEqual(body.totalPlayers, 1);
+        });
+
+        it('stores the rounded position of a legal move', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            clock.advance(1000);
+
+            const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1010.4, y: 989.6, emoji: '😀' }
+            }));
+            assert.deepStrictEqual(body.position, { x: 1010, y: 990 });
+            assert.strictEqual(body.corrected, false);
+            assert.strictEqual(body.totalPlayers, undefined);
+        });
+
+        it('shortens moves that are too far for the elapsed time', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            clock.advance(100);
+
+            const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1200, y: 1000, emoji: '😀' }
+            }));
+            // The banked burst plus 100ms at MAX_MOVE_SPEED
+            assert.deepStrictEqual(body.position, { x: 1080, y: 1000 });
+            assert.strictEqual(body.corrected, true);
+
+            // The budget is spent, so an immediate second move goes nowhere
+            const again = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1100, y: 1000, emoji: '😀' }
+            }));
+            assert.deepStrictEqual(again.body.position, { x: 1080, y: 1000 });
+            assert.strictEqual(again.body.corrected, true);
+        });
+
+        it('keeps the move budget earned before other updates to the player', async () => {
+            // Each of these bumps lastUpdate, but the budget is earned from the last move
+            const updates = {
+                chatting: user => runtime.request('POST', '/api/chat', { user, body: { message: 'on my way' } }),
+                'sending an emote': user => runtime.request('POST', '/api/player/emote', { user, body: { emote: 'wave' } }),
+                'sending a heartbeat': user => runtime.request('POST', '/api/player/heartbeat', { user }),
+                'changing the avatar': user => runtime.request('POST', '/api/player/avatar', { user, body: { emoji: '🦄' } }),
+                'opting out of tag': user => runtime.request('POST', '/api/tag/opt-out', { user, body: { optOut: true } }),
+                'updating the profile': user => runtime.request('PUT', '/api/player/me', { user, body: { emoji: '🐸' } })
+            };
+
+            for (const [update, send] of Object.entries(updates)) {
+                runtime = createRuntime({ clock });
+                await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+                clock.advance(500);
+                assert.strictEqual((await send(alice)).status, 200, update);
+                clock.advance(100);
+
+                // 600ms since the last move: the bank plus 120px
+                const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                    user: alice,
+                    body: { x: 1160, y: 1000, emoji: '😀' }
+                }));
+                assert.deepStrictEqual(body.position, { x: 1160, y: 1000 }, update);
+                assert.strictEqual(body.corrected, false, update);
+            }
+        });
+
+        it('allows moves at full speed from requests that arrive slowly', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            // 100px every 500ms is exactly MAX_MOVE_SPEED, more than MOVE_BURST per request
+            for (let i = 1; i <= 5; i++) {
+                clock.advance(500);
+                const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                    user: alice,
+                    body: { x: 1000 + i * 100, y: 1000, emoji: '😀' }
+                }));
+                assert.deepStrictEqual(body.position, { x: 1000 + i * 100, y: 1000 });
+                assert.strictEqual(body.corrected, false);
+            }
+        });
+
+        it('only takes the emoji of a joining player', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            clock.advance(1000);
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1010, y: 1000, emoji: '🐸' } });
+
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(body.players[0].emoji, '😀');
+        });
+
+        it('does not let an idle player cross the map in one request', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            clock.advance(8000);
+
+            // Only MAX_MOVE_GAP of the 8s counts: the bank plus 200px
+            const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1990, y: 1000, emoji: '😀' }
+            }));
+            assert.deepStrictEqual(body.position, { x: 1260, y: 1000 });
+            assert.strictEqual(body.corrected, true);
+        });
+
+        it('keeps players inside the world bounds', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            for (let i = 0; i < 20; i++) {
+                clock.advance(1000);
+                await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000 - (i + 1) * 60, emoji: '😀' } });
+            }
+
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.deepStrictEqual({ x: body.players[0].x, y: body.players[0].y }, { x: 1000, y: 10 });
+        });
+
+        it('echoes the input sequence number with the position', async () => {
+            const join = await json(await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } }));
+            assert.strictEqual(join.body.seq, null);
+
+            clock.advance(1000);
+            const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1020, y: 1000, emoji: '😀', seq: 3 }
+            }));
+            assert.strictEqual(body.seq, 3);
+            assert.deepStrictEqual(body.position, { x: 1020, y: 1000 });
+        });
+
+        it('ignores updates that arrive after a later one', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            clock.advance(1000);
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1040, y: 1000, emoji: '😀', seq: 2 } });
+
+            clock.advance(100);
+            const { status, body } = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1020, y: 1000, emoji: '😀', seq: 1 }
+            }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.stale, true);
+            assert.strictEqual(body.seq, 2);
+            assert.deepStrictEqual(body.position, { x: 1040, y: 1000 });
+
+            // An update without a sequence number starts the count over
+            clock.advance(1000);
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1040, y: 1020, emoji: '😀' } });
+            clock.advance(1000);
+            const restarted = await json(await runtime.request('POST', '/api/player/position', {
+                user: alice,
+                body: { x: 1040, y: 1040, emoji: '😀', seq: 1 }
+            }));
+            assert.strictEqual(restarted.body.stale, undefined);
+            assert.deepStrictEqual(restarted.body.position, { x: 1040, y: 1040 });
+        });
+
+        it('rejects unauthenticated requests with 401', async () => {
+            const { status, body } = await json(await runtime.request('POST', '/api/player/position', {
+                body: { x: 1, y: 1, emoji: '😀' }
+            }));
+            assert.strictEqual(status, 401);
+            assert.strictEqual(body.error, 'Authentication required');
+        });
+
+        it('rejects missing coordinates or emoji, or a bad seq, with 400', async () => {
+            for (const body of [{ x: '1', y: 1, emoji: '😀' }, { x: 1, emoji: '😀' }, { x: 1, y: 1 }, { x: 1, y: 1, emoji: '😀', seq: 0 }, { x: 1, y: 1, emoji: '😀', seq: 1.5 }]) {
+                const response = await json(await runtime.request('POST', '/api/player/position', { user: alice, body }));
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.error, 'Invalid position data');
+            }
+        });
+    });
+
+    describe('tile map', () => {
+        const owner = createUser({ uuid: 'local-owner', username: 'owner' });
+
+        async function move(user, x, y) {
+            return json(await runtime.request('POST', '/api/player/position', { user, body: { x, y, emoji: '😀' } }));
+        }
+
+        // An all-grass map with water on the given [column, row] tiles
+        function grassMap(water = []) {
+            const rows = Array.from({ length: 40 }, () => '.'.repeat(40).split(''));
+            water.forEach(([column, row]) => { rows[row][column] = '~'; });
+            return {
+                tileSize: 50,
+                tiles: {
+                    '.': { name: 'grass', color: '#A5D6A7' },
+                    '~': { name: 'water', color: '#4fc3f7', blocked: true }
+                },
+                rows: rows.map(row => row.join(''))
+            };
+        }
+
+        function uploadMap(map, user = owner) {
+            return runtime.request('PUT', '/api/admin/map', { user, body: map });
+        }
+
+        it('serves the default map until an admin uploads one', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/api/map?room=arena'));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.room, 'arena');
+            assert.strictEqual(body.map.version, 0);
+            assert.strictEqual(body.map.tileSize, 50);
+            assert.strictEqual(body.map.rows.length, 40);
+            assert.ok(body.map.rows.every(row => row.length === 40));
+            assert.strictEqual(body.map.tiles['#'].blocked, true);
+        });
+
+        it('stops moves in front of blocked tiles', async () => {
+            await move(alice, 1000, 1000);
+            clock.advance(1000);
+            await move(alice, 1050, 1000);
+            clock.advance(1000);
+            await move(alice, 1100, 1000);
+
+            // Tile column 22 is open, column 23 is water
+            await uploadMap(grassMap([[23, 20]]));
+            clock.advance(1000);
+            const { body } = await move(alice, 1160, 1000);
+            assert.deepStrictEqual(body.position, { x: 1140, y: 1000 });
+            assert.strictEqual(body.blocked, true);
+            assert.strictEqual(body.corrected, true);
+            assert.strictEqual(body.mapVersion, 1);
+
+            clock.advance(1000);
+            const around = await move(alice, 1140, 940);
+            assert.deepStrictEqual(around.body.position, { x: 1140, y: 940 });
+            assert.strictEqual(around.body.blocked, false);
+        });
+
+        it('lets players left inside a blocked tile walk out', async () => {
+            await move(alice, 1000, 1000);
+            clock.advance(1000);
+            await move(alice, 1060, 1000);
+            await uploadMap(grassMap([[21, 20]]));
+
+            clock.advance(1000);
+            const { body } = await move(alice, 1110, 1000);
+            assert.deepStrictEqual(body.position, { x: 1110, y: 1000 });
+            assert.strictEqual(body.blocked, false);
+        });
+
+        it('brings returning players back on the nearest open tile', async () => {
+            await move(alice, 1000, 1000);
+            clock.advance(1000);
+            await move(alice, 1060, 1000);
+            await runtime.request('POST', '/api/player/logout', { user: alice });
+
+            await uploadMap(grassMap([[21, 20]]));
+            const { body } = await move(alice, 1060, 1000);
+            assert.deepStrictEqual(body.position, { x: 1025, y: 975 });
+        });
+
+        it('validates uploaded maps', async () => {
+            const shortRows = grassMap();
+            shortRows.rows.pop();
+            const unknownTile = grassMap();
+            unknownTile.rows[0] = '#' + unknownTile.rows[0].slice(1);
+            const oddTileSize = { ...grassMap(), tileSize: 30 };
+
+            for (const map of [shortRows, unknownTile, oddTileSize, grassMap([[20, 20]]), []]) {
+                const { status, body } = await json(await uploadMap(map));
+                assert.strictEqual(status, 400);
+                assert.strictEqual(body.error, 'Invalid map');
+            }
+
+            const { status, body } = await json(await uploadMap(grassMap([[0, 0]])));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.map.version, 1);
+            assert.strictEqual(body.map.tiles['.'].color, '#a5d6a7');
+            assert.strictEqual(body.map.tiles['.'].blocked, false);
+            assert.strictEqual(body.audit.action, 'update-map');
+
+            // Maps are per room
+            const lobby = await json(await runtime.request('GET', '/api/map'));
+            assert.strictEqual(lobby.body.map.rows[0][0], '~');
+            const arena = await json(await runtime.request('GET', '/api/map?room=arena'));
+            assert.strictEqual(arena.body.map.version, 0);
+        });
+
+        it('only lets admins upload maps', async () => {
+            const player = await uploadMap(grassMap(), alice);
+            assert.strictEqual(player.status, 403);
+
+            const anonymous = await uploadMap(grassMap(), null);
+            assert.strictEqual(anonymous.status, 401);
+        });
+    });
+
+    describe('concurrent writes', () => {
+        it('keeps every player when positions are posted at the same time', async () => {
+            const users = Array.from({ length: 5 }, (_, i) => createUser({ uuid: `uuid-${i}`, username: `player${i}` }));
+            await Promise.all(users.map((user, i) => runtime.request('POST', '/api/player/position', {
+                user,
+                body: { x: i * 10, y: i * 10, emoji: '😀' }
+            })));
+
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(body.count, 5);
+        });
+
+        it('keeps every chat message when they are sent at the same time', async () => {
+            await Promise.all(['one', 'two', 'three'].map(message => runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message }
+            })));
+
+            const { body } = await json(await runtime.request('GET', '/api/chat'));
+            assert.deepStrictEqual(body.messages.map(m => m.message).sort(), ['one', 'three', 'two']);
+        });
+
+        it('keeps only the most recent chat history', async () => {
+            // Paced at the chat rate limit
+            for (let i = 1; i <= 105; i++) {
+                clock.advance(2000);
+                await runtime.request('POST', '/api/chat', { user: alice, body: { message: `message ${i}` } });
+            }
+
+            const stats = await json(await runtime.request('GET', '/api/stats'));
+            assert.strictEqual(stats.body.totalMessages, 100);
+
+            const { body } = await json(await runtime.request('GET', '/api/chat'));
+            assert.strictEqual(body.messages.length, 50);
+            assert.strictEqual(body.messages[body.messages.length - 1].message, 'message 105');
+        });
+    });
+
+    describe('GET /api/chat', () => {
+        it('returns an empty history to begin with', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/api/chat'));
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.messages, []);
+            assert.strictEqual(body.totalMessages, 0);
+        });
+    });
+
+    describe('GET /api/chat?after=', () => {
+        async function send(message) {
+            return (await json(await runtime.request('POST', '/api/chat', { user: alice, body: { message } }))).body.message;
+        }
+
+        it('assigns strictly increasing sequence numbers as ids', async () => {
+            const first = await send('one');
+            const second = await send('two');
+            assert.strictEqual(first.seq, 1);
+            assert.strictEqual(second.seq, 2);
+            assert.strictEqual(second.id, second.seq);
+        });
+
+        it('returns only messages after the given sequence', async () => {
+            await send('one');
+            await send('two');
+            await send('three');
+
+            const { body } = await json(await runtime.request('GET', '/api/chat?after=1'));
+            assert.deepStrictEqual(body.messages.map(m => m.message), ['two', 'three']);
+            assert.strictEqual(body.lastSeq, 3);
+            assert.strictEqual(body.skipped, 0);
+
+            const none = await json(await runtime.request('GET', '/api/chat?after=3'));
+            assert.deepStrictEqual(none.body.messages, []);
+            assert.strictEqual(none.body.lastSeq, 3);
+        });
+
+        it('reports messages skipped when too many arrived', async () => {
+            for (let i = 1; i <= 60; i++) {
+                clock.advance(2000);
+                await send(`message ${i}`);
+            }
+            clock.advance(5000);
+
+            const { body } = await json(await runtime.request('GET', '/api/chat?after=0'));
+            assert.strictEqual(body.messages.length, 50);
+            assert.strictEqual(body.messages[0].seq, 11);
+            assert.strictEqual(body.skipped, 10);
+            assert.strictEqual(body.lastSeq, 60);
+        });
+
+        it('holds the cursor before a message that is still being written', async () => {
+            await send('one');
+            // Take a sequence number without storing the message yet
+            await runtime.kv.incr('mmo_room:lobby:chat_seq');
+            await send('three');
+
+            const { body } = await json(await runtime.request('GET', '/api/chat?after=0'));
+            assert.deepStrictEqual(body.messages.map(m => m.seq), [1]);
+            assert.strictEqual(body.lastSeq, 1);
+
+            // A gap that stays open is given up on after a short while
+            clock.advance(5000);
+            const later = await json(await runtime.request('GET', '/api/chat?after=1'));
+            assert.deepStrictEqual(later.body.messages.map(m => m.seq), [3]);
+            assert.strictEqual(later.body.skipped, 1);
+        });
+    });
+
+    describe('POST /api/chat', () => {
+        it('stores a trimmed message for the authenticated user', async () => {
+            const { status, body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: '  hello world  ' }
+            }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.message.message, 'hello world');
+            assert.strictEqual(body.message.username, 'alice');
+            assert.strictEqual(body.message.userId, 'uuid-alice');
+
+            const chat = await json(await runtime.request('GET', '/api/chat'));
+            assert.strictEqual(chat.body.messages.length, 1);
+            assert.strictEqual(chat.body.messages[0].message, 'hello world');
+        });
+
+        it('truncates long messages to 200 characters', async () => {
+            const { body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'abcdefghij'.repeat(50) }
+            }));
+            assert.strictEqual(body.message.message.length, 200);
+        });
+
+        it('strips invisible characters and collapses whitespace', async () => {
+            const { body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'hi\u200b\u202e there\n\n\tfriend\u0007' }
+            }));
+            assert.strictEqual(body.message.message, 'hi there friend');
+        });
+
+        it('records @mentions on the message', async () => {
+            const { body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'hey @Bob and @carol, mail me at a@b.com @bob' }
+            }));
+            assert.deepStrictEqual(body.message.mentions, ['bob', 'carol']);
+        });
+
+        it('never cuts an emoji in half when truncating', async () => {
+            const { body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'a' + '😀🐸'.repeat(125) }
+            }));
+            assert.strictEqual(Array.from(body.message.message).length, 200);
+            assert.ok(body.message.message.endsWith('😀'));
+        });
+
+        it('rejects unauthenticated requests with 401', async () => {
+            const { status } = await json(await runtime.request('POST', '/api/chat', { body: { message: 'hi' } }));
+            assert.strictEqual(status, 401);
+        });
+
+        it('rejects empty messages with 400', async () => {
+            for (const message of ['', '   ', 42, '\u200b\u200b']) {
+                const { status, body } = await json(await runtime.request('POST', '/api/chat', { user: alice, body: { message } }));
+                assert.strictEqual(status, 400);
+                assert.strictEqual(body.error, 'Invalid message');
+            }
+        });
+    });
+
+    describe('chat filter', () => {
+        const owner = createUser({ uuid: 'local-owner', username: 'owner' });
+
+        async function chat(user, message) {
+            return json(await runtime.request('POST', '/api/chat', { user, body: { message } }));
+        }
+
+        function setFilter(update, user = owner) {
+            return runtime.request('PUT', '/api/admin/chat-filter', { user, body: update }).then(json);
+        }
+
+        async function visibleTo(user) {
+            const { body } = await json(await runtime.request('GET', '/api/chat', { user }));
+            return body.messages.map(m => m.message);
+        }
+
+        it('masks blocked words once an admin adds them', async () => {
+            const { status } = await setFilter({ blockedWords: { words: ['Darn', 'heck'] } });
+            assert.strictEqual(status, 200);
+
+            const { body } = await chat(alice, 'darn it, what the HECK. darned heckle');
+            assert.strictEqual(body.message.message, '**** it, what the ****. darned heckle');
+        });
+
+        it('rejects with a code when a rule is set to reject', async () => {
+            await setFilter({ blockedWords: { action: 'reject', words: ['darn'] } });
+
+            const { status, body } = await chat(alice, 'oh darn');
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.code, 'filtered');
+            assert.strictEqual(body.rule, 'blockedWords');
+            assert.deepStrictEqual(await visibleTo(alice), []);
+        });
+
+        it('shadow-hides messages from everyone but the sender', async () => {
+            await setFilter({ blockedWords: { action: 'shadow', words: ['darn'] } });
+
+            const { status, body } = await chat(alice, 'oh darn');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.message.shadow, undefined);
+
+            assert.deepStrictEqual(await visibleTo(alice), ['oh darn']);
+            assert.deepStrictEqual(await visibleTo(bob), []);
+            assert.deepStrictEqual(await visibleTo(null), []);
+        });
+
+        it('rejects repeated and near-duplicate messages within the window', async () => {
+            assert.strictEqual((await chat(alice, 'Anyone want to trade?')).status, 200);
+            clock.advance(3000);
+
+            const repeat = await chat(alice, 'anyone want to trade??');
+            assert.strictEqual(repeat.status, 400);
+            assert.strictEqual(repeat.body.rule, 'duplicates');
+
+            // Other players may say the same thing
+            assert.strictEqual((await chat(bob, 'Anyone want to trade?')).status, 200);
+
+            clock.advance(31000);
+            assert.strictEqual((await chat(alice, 'Anyone want to trade?')).status, 200);
+        });
+
+        it('quiets shouting and collapses flooded characters', async () => {
+            const shout = await chat(alice, 'WHY IS NOBODY HERE');
+            assert.strictEqual(shout.body.message.message, 'why is nobody here');
+
+            clock.advance(2000);
+            const flood = await chat(alice, 'nooooooooo!!!!!!!!');
+            assert.strictEqual(flood.body.message.message, 'noooo!!!!');
+
+            // Short shouts are fine
+            clock.advance(2000);
+            assert.strictEqual((await chat(alice, 'GG ALL')).body.message.message, 'GG ALL');
+        });
+
+        it('keeps rules in KV and validates changes', async () => {
+            await setFilter({ caps: { action: 'off' } });
+            const { body } = await json(await runtime.request('GET', '/api/admin/chat-filter', { user: owner }));
+            assert.strictEqual(body.filter.caps.action, 'off');
+            assert.strictEqual(body.filter.caps.minLetters, 10);
+
+            for (const update of [
+                { nope: {} },
+                { caps: { action: 'explode' } },
+                { duplicates: { action: 'mask' } },
+                { caps: { maxRatio: 'lots' } },
+                { blockedWords: { words: 'darn' } }
+            ]) {
+                assert.strictEqual((await setFilter(update)).status, 400, JSON.stringify(update));
+            }
+
+            assert.strictEqual((await setFilter({ caps: { action: 'off' } }, alice)).status, 403);
+        });
+    });
+
+    describe('chat channels', () => {
+        const carol = createUser({ uuid: 'uuid-carol', username: 'carol' });
+
+        async function join(user, steps = []) {
+            await runtime.request('POST', '/api/player/position', { user, body: { x: 1000, y: 1000, emoji: '😀' } });
+            for (const [x, y] of steps) {
+                clock.advance(1000);
+                await runtime.request('POST', '/api/player/position', { user, body: { x, y, emoji: '😀' } });
+            }
+        }
+
+        // Player messages only; two players in a room also start a round of tag
+        async function visibleTo(user) {
+            const { body } = await json(await runtime.request('GET', '/api/chat', { user }));
+            return body.messages.filter(m => m.kind !== 'announcement').map(m => m.message);
+        }
+
+        it('delivers say messages only to players within range', async () => {
+            await join(alice);
+            await join(bob, [[1050, 1000]]);
+            // Walk carol well out of range, 60px at a time
+            await join(carol, [[1000, 1060], [1000, 1120], [1000, 1180], [1000, 1240]]);
+
+            const { status, body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'psst', channel: 'say' }
+            }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.message.channel, 'say');
+            assert.strictEqual(body.message.audience, undefined);
+
+            assert.deepStrictEqual(await visibleTo(alice), ['psst']);
+            assert.deepStrictEqual(await visibleTo(bob), ['psst']);
+            assert.deepStrictEqual(await visibleTo(carol), []);
+            assert.deepStrictEqual(await visibleTo(null), []);
+        });
+
+        it('requires a position in the world to say something', async () => {
+            const { status, body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'hello?', channel: 'say' }
+            }));
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error, 'Not in world');
+        });
+
+        it('delivers whispers only to the sender and recipient', async () => {
+            await join(alice);
+            await join(bob);
+            await join(carol);
+
+            const { body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'secret', channel: 'whisper', to: '@Bob' }
+            }));
+            assert.strictEqual(body.message.recipient, 'bob');
+
+            assert.deepStrictEqual(await visibleTo(alice), ['secret']);
+            assert.deepStrictEqual(await visibleTo(bob), ['secret']);
+            assert.deepStrictEqual(await visibleTo(carol), []);
+        });
+
+        it('rejects whispers to players who are not online', async () => {
+            await join(alice);
+            const { status, body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'anyone?', channel: 'whisper', to: 'nobody' }
+            }));
+            assert.strictEqual(status, 404);
+            assert.strictEqual(body.error, 'Player not found');
+        });
+
+        it('rejects unknown channels', async () => {
+            const { status, body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'hi', channel: 'shout' }
+            }));
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error, 'Invalid channel');
+        });
+
+        it('moves the cursor past messages the user cannot see', async () => {
+            await join(alice);
+            await join(bob);
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'for bob', channel: 'whisper', to: 'bob' } });
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'for all' } });
+
+            // Message 1 announces the round of tag alice and bob started
+            const { body } = await json(await runtime.request('GET', '/api/chat?after=1', { user: carol }));
+            assert.deepStrictEqual(body.messages.map(m => m.message), ['for all']);
+            assert.strictEqual(body.lastSeq, 3);
+            assert.strictEqual(body.skipped, 0);
+        });
+    });
+
+    describe('chat command routes', () => {
+        it('lists online players for /who', async () => {
+            await runtime.request('POST', '/api/player/position', { user: bob, body: { x: 1000, y: 1000, emoji: '🐸' } });
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            const { status, body } = await json(await runtime.request('GET', '/api/who'));
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.players, [
+                { username: 'alice', emoji: '😀', presence: 'active' },
+                { username: 'bob', emoji: '🐸', presence: 'active' }
+            ]);
+        });
+
+        it('changes the avatar for /emoji', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            const { status, body } = await json(await runtime.request('POST', '/api/player/avatar', { user: alice, body: { emoji: '🦄' } }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.emoji, '🦄');
+
+            const players = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(players.body.players[0].emoji, '🦄');
+        });
+
+        it('rejects avatars that are not a single emoji', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            for (const emoji of ['abc', '<b>😀</b>', '😀 😀', '', 42]) {
+                const { status, body } = await json(await runtime.request('POST', '/api/player/avatar', { user: alice, body: { emoji } }));
+                assert.strictEqual(status, 400);
+                assert.strictEqual(body.error, 'Invalid avatar');
+            }
+        });
+
+        it('requires authentication and a player in the world to change avatar', async () => {
+            const anonymous = await runtime.request('POST', '/api/player/avatar', { body: { emoji: '🦄' } });
+            assert.strictEqual(anonymous.status, 401);
+
+            const { status, body } = await json(await runtime.request('POST', '/api/player/avatar', { user: alice, body: { emoji: '🦄' } }));
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error, 'Not in world');
+        });
+
+        it('limits avatar changes per user', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            for (const emoji of ['🦄', '🐸', '🦊']) {
+                assert.strictEqual((await runtime.request('POST', '/api/player/avatar', { user: alice, body: { emoji } })).status, 200);
+            }
+
+            const limited = await runtime.request('POST', '/api/player/avatar', { user: alice, body: { emoji: '🐙' } });
+            assert.strictEqual(limited.status, 429);
+            assert.strictEqual(limited.headers.get('Retry-After'), '5');
+        });
+
+        it('stores /me messages as actions', async () => {
+            const { body } = await json(await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'waves', kind: 'action' }
+            }));
+            assert.strictEqual(body.message.kind, 'action');
+
+            const invalid = await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'hi', kind: 'shout' } });
+            assert.strictEqual(invalid.status, 400);
+        });
+    });
+
+    describe('rooms', () => {
+        function joinRoom(user, room) {
+            return runtime.request('POST', `/api/player/position?room=${room}`, { user, body: { x: 1000, y: 1000, emoji: '😀' } });
+        }
+
+        it('keeps players and chat separate per room', async () => {
+            await joinRoom(alice, 'lobby');
+            await joinRoom(bob, 'meadow');
+            await runtime.request('POST', '/api/chat?room=meadow', { user: bob, body: { message: 'meadow only' } });
+
+            const lobby = await json(await runtime.request('GET', '/api/players?room=lobby'));
+            assert.deepStrictEqual(lobby.body.players.map(p => p.id), ['uuid-alice']);
+
+            const meadowChat = await json(await runtime.request('GET', '/api/chat?room=meadow'));
+            assert.deepStrictEqual(meadowChat.body.messages.map(m => m.message), ['meadow only']);
+
+            const lobbyChat = await json(await runtime.request('GET', '/api/chat'));
+            assert.deepStrictEqual(lobbyChat.body.messages, []);
+        });
+
+        it('lists rooms with their population', async () => {
+            await joinRoom(alice, 'lobby');
+            await joinRoom(bob, 'lobby');
+
+            const { status, body } = await json(await runtime.request('GET', '/api/rooms'));
+            assert.strictEqual(status, 200);
+            const lobby = body.rooms.find(room => room.id === 'lobby');
+            assert.strictEqual(lobby.players, 2);
+            assert.strictEqual(lobby.full, false);
+            assert.ok(body.rooms.every(room => room.maxPlayers > 0));
+        });
+
+        it('moves players out of their previous room when they join another', async () => {
+            await joinRoom(alice, 'lobby');
+            await joinRoom(alice, 'meadow');
+
+            const lobby = await json(await runtime.request('GET', '/api/players?room=lobby'));
+            assert.strictEqual(lobby.body.count, 0);
+            const meadow = await json(await runtime.request('GET', '/api/players?room=meadow'));
+            assert.strictEqual(meadow.body.count, 1);
+        });
+
+        it('refuses joins once a room is full', async () => {
+            for (let i = 0; i < 8; i++) {
+                const response = await joinRoom(createUser({ uuid: `uuid-${i}`, username: `player${i}` }), 'arena');
+                assert.strictEqual(response.status, 200);
+            }
+
+            const { status, body } = await json(await joinRoom(alice, 'arena'));
+            assert.strictEqual(status, 403);
+            assert.strictEqual(body.error, 'Room full');
+
+            // Players already in the room can still move
+            const existing = await joinRoom(createUser({ uuid: 'uuid-0', username: 'player0' }), 'arena');
+            assert.strictEqual(existing.status, 200);
+        });
+
+        it('returns 404 for rooms that do not exist', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/api/players?room=nowhere'));
+            assert.strictEqual(status, 404);
+            assert.strictEqual(body.error, 'Room not found');
+        });
+    });
+
+    describe('player profiles', () => {
+        async function move(user, x, y, emoji = '😀') {
+            return json(await runtime.request('POST', '/api/player/position', { user, body: { x, y, emoji } }));
+        }
+
+        it('returns 404 before the first game and 401 without a user', async () => {
+            const missing = await json(await runtime.request('GET', '/api/player/me', { user: alice }));
+            assert.strictEqual(missing.status, 404);
+            assert.strictEqual(missing.body.error, 'Profile not found');
+
+            const anonymous = await runtime.request('GET', '/api/player/me');
+            assert.strictEqual(anonymous.status, 401);
+        });
+
+        it('keeps position, avatar and play time after logout', async () => {
+            await move(alice, 1000, 1000, '🦄');
+            clock.advance(1000);
+            await move(alice, 1040, 1000, '🦄');
+            clock.advance(1000);
+            await move(alice, 1080, 1000, '🦄');
+            await runtime.request('POST', '/api/player/logout', { user: alice });
+
+            const { status, body } = await json(await runtime.request('GET', '/api/player/me', { user: alice }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.profile.emoji, '🦄');
+            assert.deepStrictEqual(body.profile.lastPosition, { room: 'lobby', x: 1080, y: 1000 });
+            assert.strictEqual(body.profile.playTime, 2000);
+            assert.strictEqual(body.profile.online, false);
+            assert.strictEqual(body.profile.joinedAt, new Date(clock.now() - 2000).toISOString());
+        });
+
+        it('keeps the profile when a player times out', async () => {
+            await move(alice, 1000, 1000);
+            clock.advance(1000);
+            await move(alice, 1000, 1050);
+            clock.advance(2 * 60000 + 1000);
+            await runtime.request('GET', '/api/players');
+
+            const { body } = await json(await runtime.request('GET', '/api/player/me', { user: alice }));
+            assert.deepStrictEqual(body.profile.lastPosition, { room: 'lobby', x: 1000, y: 1050 });
+            assert.strictEqual(body.profile.playTime, 1000);
+        });
+
+        it('returns players to where they left the room', async () => {
+            await move(alice, 1000, 1000);
+            clock.advance(1000);
+            await move(alice, 1000, 1050);
+            await runtime.request('POST', '/api/player/logout', { user: alice });
+
+            const rejoin = await move(alice, 1000, 1050);
+            assert.deepStrictEqual(rejoin.body.position, { x: 1000, y: 1050 });
+            assert.strictEqual(rejoin.body.corrected, false);
+
+            // Other rooms still start at the spawn point
+            const other = await json(await runtime.request('POST', '/api/player/position?room=meadow', {
+                user: alice,
+                body: { x: 1000, y: 1050, emoji: '😀' }
+            }));
+            assert.deepStrictEqual(other.body.position, { x: 1000, y: 1000 });
+        });
+
+        it('counts the live session while the player is online', async () => {
+            await move(alice, 1000, 1000);
+            clock.advance(1000);
+            await move(alice, 1030, 1000);
+
+            const { body } = await json(await runtime.request('GET', '/api/player/me', { user: alice }));
+            assert.strictEqual(body.profile.online, true);
+            assert.strictEqual(body.profile.playTime, 1000);
+            assert.deepStrictEqual(body.profile.lastPosition, { room: 'lobby', x: 1030, y: 1000 });
+        });
+
+        it('updates emoji and preferences, and the avatar other players see', async () => {
+            await move(alice, 1000, 1000);
+
+            const { status, body } = await json(await runtime.request('PUT', '/api/player/me', {
+                user: alice,
+                body: { emoji: '🐸', preferences: { chatTab: 'say' } }
+            }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.profile.emoji, '🐸');
+            assert.deepStrictEqual(body.profile.preferences, { chatTab: 'say' });
+
+            const players = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(players.body.players[0].emoji, '🐸');
+        });
+
+        it('limits emoji changes like the avatar route', async () => {
+            await move(alice, 1000, 1000);
+            for (const emoji of ['🐸', '🦊', '🦄']) {
+                const { status } = await json(await runtime.request('PUT', '/api/player/me', { user: alice, body: { emoji } }));
+                assert.strictEqual(status, 200);
+            }
+
+            const limited = await runtime.request('PUT', '/api/player/me', { user: alice, body: { emoji: '🐙' } });
+            assert.strictEqual(limited.status, 429);
+            const avatar = await runtime.request('POST', '/api/player/avatar', { user: alice, body: { emoji: '🐙' } });
+            assert.strictEqual(avatar.status, 429);
+
+            // Preferences alone don't change the avatar
+            const preferences = await runtime.request('PUT', '/api/player/me', { user: alice, body: { preferences: { chatTab: 'say' } } });
+            assert.strictEqual(preferences.status, 200);
+        });
+
+        it('rejects invalid emoji and preferences with 400', async () => {
+            for (const update of [{ emoji: 'abc' }, { preferences: [] }, { preferences: { note: 'x'.repeat(3000) } }]) {
+                const { status } = await json(await runtime.request('PUT', '/api/player/me', { user: alice, body: update }));
+                assert.strictEqual(status, 400, JSON.stringify(update).slice(0, 40));
+            }
+        });
+    });
+
+    describe('moderation', () => {
+        const owner = createUser({ uuid: 'local-owner', username: 'owner' });
+
+        async function join(user) {
+            return json(await runtime.request('POST', '/api/player/position', { user, body: { x: 1000, y: 1000, emoji: '😀' } }));
+        }
+
+        function admin(user, action, body) {
+            return runtime.request('POST', `/api/admin/${action}`, { user, body }).then(json);
+        }
+
+        function chat(user, message = 'hi') {
+            return runtime.request('POST', '/api/chat', { user, body: { message } }).then(json);
+        }
+
+        beforeEach(async () => {
+            await join(alice);
+            await join(bob);
+        });
+
+        it('only lets admins use moderation routes', async () => {
+            const denied = await admin(bob, 'kick', { username: 'alice' });
+            assert.strictEqual(denied.status, 403);
+            assert.strictEqual(denied.body.error, 'Admin only');
+
+            const anonymous = await admin(null, 'kick', { username: 'alice' });
+            assert.strictEqual(anonymous.status, 401);
+
+            const audit = await json(await runtime.request('GET', '/api/admin/audit', { user: bob }));
+            assert.strictEqual(audit.status, 403);
+        });
+
+        it('mutes chat until the mute runs out', async () => {
+            const { status, body } = await admin(owner, 'mute', { username: 'bob', minutes: 5, reason: 'spam' });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.mute.until, clock.now() + 5 * 60000);
+
+            const muted = await chat(bob);
+            assert.strictEqual(muted.status, 403);
+            assert.strictEqual(muted.body.code, 'muted');
+            assert.match(muted.body.message, /5 more minute\(s\): spam/);
+
+            // Muted players can still move
+            clock.advance(1000);
+            assert.strictEqual((await join(bob)).status, 200);
+
+            clock.advance(5 * 60000);
+            assert.strictEqual((await chat(bob)).status, 200);
+        });
+
+        it('rejects mute durations out of range', async () => {
+            for (const minutes of [0, -1, 'ten', 8 * 24 * 60]) {
+                const { status } = await admin(owner, 'mute', { username: 'bob', minutes });
+                assert.strictEqual(status, 400);
+            }
+        });
+
+        it('kicks a player out and tells them once', async () => {
+            const { status } = await admin(owner, 'kick', { username: 'bob', reason: 'calm down' });
+            assert.strictEqual(status, 200);
+
+            const players = await json(await runtime.request('GET', '/api/players'));
+            assert.deepStrictEqual(players.body.players.map(p => p.id), ['uuid-alice']);
+
+            const kicked = await join(bob);
+            assert.strictEqual(kicked.status, 403);
+            assert.strictEqual(kicked.body.code, 'kicked');
+            assert.strictEqual(kicked.body.message, 'You were kicked: calm down');
+
+            assert.strictEqual((await join(bob)).status, 200);
+        });
+
+        it('bans a player from moving and chatting until unbanned', async () => {
+            await admin(owner, 'ban', { username: 'bob', reason: 'cheating' });
+
+            const moved = await join(bob);
+            assert.strictEqual(moved.status, 403);
+            assert.strictEqual(moved.body.code, 'banned');
+            assert.strictEqual((await chat(bob)).body.code, 'banned');
+
+            const players = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(players.body.count, 1);
+
+            await admin(owner, 'unban', { username: 'bob' });
+            assert.strictEqual((await join(bob)).status, 200);
+        });
+
+        it('lets the owner appoint admins, who cannot act on admins or the owner', async () => {
+            const carol = createUser({ uuid: 'uuid-carol', username: 'carol' });
+            await join(carol);
+            await join(owner);
+
+            const appointed = await admin(owner, 'admins', { username: 'alice', admin: true });
+            assert.strictEqual(appointed.status, 200);
+            await admin(owner, 'admins', { username: 'carol', admin: true });
+
+            assert.strictEqual((await admin(alice, 'mute', { username: 'bob', minutes: 1 })).status, 200);
+            assert.strictEqual((await admin(alice, 'kick', { username: 'carol' })).status, 403);
+            assert.strictEqual((await admin(alice, 'ban', { username: 'owner' })).status, 403);
+            assert.strictEqual((await admin(alice, 'admins', { username: 'bob', admin: true })).status, 403);
+            assert.strictEqual((await admin(owner, 'kick', { username: 'nobody' })).status, 404);
+
+            const list = await json(await runtime.request('GET', '/api/admin/admins', { user: alice }));
+            assert.deepStrictEqual(list.body.admins.map(a => a.username), ['alice', 'carol']);
+        });
+
+        it('records every action in the audit log', async () => {
+            await admin(owner, 'mute', { username: 'bob', minutes: 1, reason: 'caps' });
+            await admin(owner, 'unmute', { username: 'bob' });
+            await admin(owner, 'kick', { username: 'bob' });
+
+            const { body } = await json(await runtime.request('GET', '/api/admin/audit', { user: owner }));
+            assert.deepStrictEqual(body.entries.map(e => [e.action, e.targetUsername, e.adminUsername]), [
+                ['mute', 'bob', 'owner'],
+                ['unmute', 'bob', 'owner'],
+                ['kick', 'bob', 'owner']
+            ]);
+            assert.strictEqual(body.entries[0].reason, 'caps');
+        });
+    });
+
+    describe('rate limits', () => {
+        function move(user) {
+            return runtime.request('POST', '/api/player/position', { user, body: { x: 1000, y: 1000, emoji: '😀' } });
+        }
+
+        // Different enough not to trip the duplicate filter
+        const phrases = ['hello', 'how are you', 'nice day', 'see you', 'good game', 'brb', 'back again', 'lol'];
+        let sent = 0;
+        function chat(user) {
+            return runtime.request('POST', '/api/chat', { user, body: { message: phrases[sent++] } });
+        }
+
+        it('answers position bursts past the limit with 429 and Retry-After', async () => {
+            for (let i = 0; i < 20; i++) {
+                assert.strictEqual((await move(alice)).status, 200);
+            }
+
+            const limited = await move(alice);
+            assert.strictEqual(limited.status, 429);
+            assert.strictEqual(limited.headers.get('Retry-After'), '1');
+            const body = await limited.json();
+            assert.strictEqual(body.code, 'rate_limited');
+            assert.strictEqual(body.retryAfter, 1);
+
+            clock.advance(1000);
+            assert.strictEqual((await move(alice)).status, 200);
+        });
+
+        it('limits chat per user', async () => {
+            for (let i = 0; i < 5; i++) {
+                assert.strictEqual((await chat(alice)).status, 200);
+            }
+
+            const limited = await chat(alice);
+            assert.strictEqual(limited.status, 429);
+            assert.strictEqual(limited.headers.get('Retry-After'), '2');
+
+            // Other players have their own bucket
+            assert.strictEqual((await chat(bob)).status, 200);
+
+            clock.advance(2000);
+            assert.strictEqual((await chat(alice)).status, 200);
+
+            const { body } = await json(await runtime.request('GET', '/api/chat'));
+            assert.strictEqual(body.messages.length, 7);
+        });
+
+        it('limits logout', async () => {
+            for (let i = 0; i < 3; i++) {
+                assert.strictEqual((await runtime.request('POST', '/api/player/logout', { user: alice })).status, 200);
+            }
+            const limited = await runtime.request('POST', '/api/player/logout', { user: alice });
+            assert.strictEqual(limited.status, 429);
+            assert.strictEqual(limited.headers.get('Retry-After'), '10');
+        });
+    });
+
+    describe('items and inventories', () => {
+        const owner = createUser({ uuid: 'local-owner', username: 'owner' });
+        const grass = {
+            tileSize: 50,
+            tiles: { '.': { name: 'grass', color: '#a5d6a7' } },
+            rows: Array.from({ length: 40 }, () => '.'.repeat(40))
+        };
+
+        async function getItems() {
+            return (await json(await runtime.request('GET', '/api/items'))).body.items;
+        }
+
+        function pickup(user, itemId) {
+            return runtime.request('POST', '/api/items/pickup', { user, body: { itemId } });
+        }
+
+        // Walk in 60px steps, one per second, over an all-grass map
+        async function walkTo(user, x, y) {
+            let position = { x: 1000, y: 1000 };
+            await runtime.request('POST', '/api/player/position', { user, body: { ...position, emoji: '😀' } });
+            while (position.x !== x || position.y !== y) {
+                const distance = Math.hypot(x - position.x, y - position.y);
+                const step = Math.min(1, 60 / distance);
+                clock.advance(1000);
+                const { body } = await json(await runtime.request('POST', '/api/player/position', {
+                    user,
+                    body: { x: position.x + (x - position.x) * step, y: position.y + (y - position.y) * step, emoji: '😀' }
+                }));
+                position = body.position;
+            }
+        }
+
+        // The item closest to the spawn point
+        async function nearestItem(type) {
+            const items = (await getItems()).filter(item => !type || item.type === type);
+            return items.sort((a, b) => Math.hypot(a.x - 1000, a.y - 1000) - Math.hypot(b.x - 1000, b.y - 1000))[0];
+        }
+
+        beforeEach(async () => {
+            await runtime.request('PUT', '/api/admin/map', { user: owner, body: grass });
+        });
+
+        it('fills a new room and keeps the same items on every read', async () => {
+            const items = await getItems();
+            const countOf = type => items.filter(item => item.type === type).length;
+            assert.deepStrictEqual([countOf('coin'), countOf('apple'), countOf('gem')], [15, 8, 3]);
+            assert.ok(items.every(item => item.x > 0 && item.x < 2000 && item.y > 0 && item.y < 2000));
+
+            clock.advance(5000);
+            assert.deepStrictEqual((await getItems()).map(item => item.id), items.map(item => item.id));
+        });
+
+        it('picks up items within range and respawns them over time', async () => {
+            const coin = await nearestItem('coin');
+            await walkTo(alice, coin.x, coin.y);
+
+            const { status, body } = await json(await pickup(alice, coin.id));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.item.id, coin.id);
+            assert.deepStrictEqual(body.inventory, [{ type: 'coin', name: 'Coin', emoji: '🪙', count: 1 }]);
+
+            const again = await pickup(alice, coin.id);
+            assert.strictEqual(again.status, 404);
+            assert.strictEqual(await runtime.kv.get(`mmo_room:lobby:item_claim:${coin.id}`), null);
+
+            assert.strictEqual((await getItems()).filter(item => item.type === 'coin').length, 14);
+            clock.advance(10000);
+            assert.strictEqual((await getItems()).filter(item => item.type === 'coin').length, 15);
+        });
+
+        it('refuses items out of reach of the stored position', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+            const far = (await getItems()).find(item => Math.hypot(item.x - 1000, item.y - 1000) > 40);
+
+            const { status, body } = await json(await pickup(alice, far.id));
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error, 'Too far');
+
+            const missing = await pickup(alice, 'coin-0');
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('gives an item to only one of two players picking it up at once', async () => {
+            const coin = await nearestItem();
+            await walkTo(alice, coin.x, coin.y);
+            await walkTo(bob, coin.x, coin.y);
+
+            const responses = await Promise.all([pickup(alice, coin.id), pickup(bob, coin.id)]);
+            assert.deepStrictEqual(responses.map(response => response.status).filter(status => status === 200), [200]);
+
+            const totals = await Promise.all([alice, bob].map(async (user) => {
+                return (await json(await runtime.request('GET', '/api/inventory', { user }))).body.total;
+            }));
+            assert.deepStrictEqual(totals.sort(), [0, 1]);
+            assert.deepStrictEqual(await runtime.kv.list('mmo_room:lobby:item_claim:*'), []);
+        });
+
+        it('leaves the item to the first claim when a second one lands before it settles', async () => {
+            const coin = await nearestItem();
+            await walkTo(alice, coin.x, coin.y);
+            await walkTo(bob, coin.x, coin.y);
+
+            // Bob claims and gives up while Alice, who claimed first, has yet
+            // to check the item is still there
+            const incr = runtime.kv.incr.bind(runtime.kv);
+            let bobResponse;
+            runtime.kv.incr = async (key, amount) => {
+                const value = await incr(key, amount);
+                if (key === `mmo_room:lobby:item_claim:${coin.id}`) {
+                    runtime.kv.incr = incr;
+                    bobResponse = await pickup(bob, coin.id);
+                }
+                return value;
+            };
+            const aliceResponse = await pickup(alice, coin.id);
+
+            assert.strictEqual(aliceResponse.status, 200);
+            assert.strictEqual(bobResponse.status, 409);
+            const totals = await Promise.all([alice, bob].map(async (user) => {
+                return (await json(await runtime.request('GET', '/api/inventory', { user }))).body.total;
+            }));
+            assert.deepStrictEqual(totals, [1, 0]);
+            assert.strictEqual(await runtime.kv.get(`mmo_room:lobby:item_claim:${coin.id}`), null);
+        });
+
+        it('turns away a claim that comes after the winner dropped theirs', async () => {
+            const coin = await nearestItem();
+            await walkTo(alice, coin.x, coin.y);
+            await walkTo(bob, coin.x, coin.y);
+
+            // Bob read the item before Alice took it, and claims it only after
+            // her claim is gone
+            const get = runtime.kv.get.bind(runtime.kv);
+            let aliceDone;
+            runtime.kv.get = async (key) => {
+                const value = await get(key);
+                if (key === `mmo_room:lobby:item:${coin.id}` && !aliceDone) {
+                    aliceDone = pickup(alice, coin.id);
+                    runtime.kv.get = get;
+                    await aliceDone;
+                }
+                return value;
+            };
+            const bobResponse = await pickup(bob, coin.id);
+            const aliceResponse = await aliceDone;
+
+            assert.strictEqual(aliceResponse.status, 200);
+            assert.strictEqual(bobResponse.status, 409);
+            assert.strictEqual(await runtime.kv.get(`mmo_room:lobby:item_claim:${coin.id}`), null);
+        });
+
+        it('keeps inventories per user across rooms', async () => {
+            const coin = await nearestItem();
+            await walkTo(alice, coin.x, coin.y);
+            await pickup(alice, coin.id);
+            await runtime.request('POST', '/api/player/position?room=meadow', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            const { status, body } = await json(await runtime.request('GET', '/api/inventory', { user: alice }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.total, 1);
+            assert.strictEqual(body.items[0].type, coin.type);
+
+            const anonymous = await runtime.request('GET', '/api/inventory');
+            assert.strictEqual(anonymous.status, 401);
+        });
+
+        it('requires the player to be in the world', async () => {
+            const coin = await nearestItem();
+            const { status, body } = await json(await pickup(alice, coin.id));
+            assert.strictEqual(status, 404);
+            assert.strictEqual(body.error, 'Not in world');
+        });
+    });
+
+    describe('leaderboards', () => {
+        async function move(user, x, y) {
+            clock.advance(1000);
+            await runtime.request('POST', '/api/player/position', { user, body: { x, y, emoji: '😀' } });
+        }
+
+        async function leaderboard(query, user) {
+            return json(await runtime.request('GET', '/api/leaderboard' + query, { user }));
+        }
+
+        it('ranks players by distance walked', async () => {
+            await move(alice, 1000, 1000);
+            await move(alice, 1060, 1000);
+            await move(alice, 1060, 1060);
+            await move(alice, 1000, 1060);
+            await move(bob, 1000, 1000);
+            await move(bob, 1000, 940);
+
+            const { status, body } = await leaderboard('?stat=distance', bob);
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.period, 'all');
+            assert.strictEqual(body.since, null);
+            assert.deepStrictEqual(body.entries.map(entry => [entry.rank, entry.username, entry.value]), [
+                [1, 'alice', 180],
+                [2, 'bob', 60]
+            ]);
+            assert.deepStrictEqual(body.you, { rank: 2, value: 60 });
+
+            const anonymous = await leaderboard('?stat=distance&limit=1');
+            assert.strictEqual(anonymous.body.entries.length, 1);
+            assert.strictEqual(anonymous.body.you, undefined);
+        });
+
+        it('counts messages, and time online between heartbeats', async () => {
+            await move(alice, 1000, 1000);
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'hello there' } });
+            clock.advance(2000);
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'anyone around?' } });
+
+            clock.advance(8000);
+            await runtime.request('POST', '/api/player/heartbeat', { user: alice });
+            clock.advance(60000);
+            await runtime.request('POST', '/api/player/heartbeat', { user: alice });
+
+            const messages = await leaderboard('?stat=messages', alice);
+            assert.deepStrictEqual(messages.body.you, { rank: 1, value: 2 });
+
+            // A minute without heartbeats counts as AWAY_AFTER at most
+            const online = await leaderboard('?stat=timeOnline', alice);
+            assert.deepStrictEqual(online.body.you, { rank: 1, value: 10000 + 30000 });
+        });
+
+        it('keeps daily and weekly windows', async () => {
+            // The clock starts on a Tuesday, two hours before midnight UTC
+            await move(alice, 1000, 1000);
+            await move(alice, 1060, 1000);
+            await runtime.request('POST', '/api/player/logout', { user: alice });
+
+            // Rejoining where we left off doesn't count as walking
+            clock.advance(2 * 60 * 60 * 1000);
+            await move(alice, 1060, 1000);
+            await move(alice, 1060, 1040);
+
+            const totals = {};
+            for (const period of ['all', 'daily', 'weekly']) {
+                const { body } = await leaderboard(`?stat=distance&period=${period}`, alice);
+                totals[period] = body.you.value;
+            }
+            assert.deepStrictEqual(totals, { all: 100, daily: 40, weekly: 100 });
+
+            const daily = await leaderboard('?stat=distance&period=daily');
+            assert.strictEqual(daily.body.since, Date.parse('2023-11-15T00:00:00Z'));
+            const weekly = await leaderboard('?stat=distance&period=weekly');
+            assert.strictEqual(weekly.body.since, Date.parse('2023-11-13T00:00:00Z'));
+        });
+
+        it('deletes the daily and weekly counters of windows that are over', async () => {
+            const windows = async () => {
+                const keys = await runtime.kv.list('mmo_score:*');
+                return [...new Set(keys.map(key => key.split(':')[1]))].sort();
+            };
+
+            // The clock starts on a Tuesday, two hours before midnight UTC
+            await move(alice, 1000, 1000);
+            await move(alice, 1060, 1000);
+            assert.deepStrictEqual(await windows(), ['all', 'daily-2023-11-14', 'weekly-2023-11-13']);
+
+            clock.advance(2 * 60 * 60 * 1000);
+            await move(bob, 1000, 1000);
+            await move(bob, 1060, 1000);
+            assert.deepStrictEqual(await windows(), ['all', 'daily-2023-11-15', 'weekly-2023-11-13']);
+
+            clock.advance(7 * 24 * 60 * 60 * 1000);
+            await move(bob, 1000, 1000);
+            assert.deepStrictEqual(await windows(), ['all', 'daily-2023-11-22', 'weekly-2023-11-20']);
+            assert.deepStrictEqual(await runtime.kv.list('mmo_score_window:*'), ['mmo_score_window:daily-2023-11-22', 'mmo_score_window:weekly-2023-11-20']);
+
+            const { body } = await leaderboard('?stat=distance&period=all', alice);
+            assert.strictEqual(body.you.value, 60);
+        });
+
+        it('rejects unknown stats, periods and limits', async () => {
+            for (const [query, error] of [['?stat=kills', 'Invalid stat'], ['?period=monthly', 'Invalid period'], ['?limit=0', 'Invalid limit']]) {
+                const { status, body } = await leaderboard(query);
+                assert.strictEqual(status, 400);
+                assert.strictEqual(body.error, error);
+            }
+        });
+    });
+
+    describe('tag', () => {
+        async function move(user, x, y) {
+            clock.advance(1000);
+            return json(await runtime.request('POST', '/api/player/position', { user, body: { x, y, emoji: '😀' } }));
+        }
+
+        async function getTag(user) {
+            return (await json(await runtime.request('GET', '/api/tag', { user }))).body;
+        }
+
+        async function positionOf(id) {
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            const player = body.players.find(p => p.id === id);
+            return { x: player.x, y: player.y };
+        }
+
+        async function announcements() {
+            const { body } = await json(await runtime.request('GET', '/api/chat'));
+            return body.messages.filter(m => m.kind === 'announcement').map(m => m.message);
+        }
+
+        function optOut(user, value) {
+            return runtime.request('POST', '/api/tag/opt-out', { user, body: { optOut: value } });
+        }
+
+        // Alice stands 120px east of the spawn point, where bob joins
+        async function startRound() {
+            await move(alice, 1000, 1000);
+            await move(alice, 1060, 1000);
+            await move(alice, 1120, 1000);
+            await move(bob, 1000, 1000);
+
+            const tag = await getTag();
+            const users = { 'uuid-alice': alice, 'uuid-bob': bob };
+            const runnerId = tag.it.id === 'uuid-alice' ? 'uuid-bob' : 'uuid-alice';
+            return { tag, it: users[tag.it.id], itId: tag.it.id, runner: users[runnerId], runnerId };
+        }
+
+        it('starts a round once two players are around', async () => {
+            await move(alice, 1000, 1000);
+            const waiting = await getTag();
+            assert.strictEqual(waiting.status, 'ended');
+            assert.strictEqual(waiting.round, 0);
+
+            const { tag } = await startRound();
+            assert.strictEqual(tag.status, 'running');
+            assert.strictEqual(tag.round, 1);
+            assert.ok(['uuid-alice', 'uuid-bob'].includes(tag.it.id));
+            assert.strictEqual(tag.timeLeft, 3 * 60 * 1000);
+            assert.deepStrictEqual(tag.standings.map(standing => standing.id).sort(), ['uuid-alice', 'uuid-bob']);
+
+            const [started] = await announcements();
+            assert.match(started, new RegExp(`^Round 1 of tag has started! @${tag.it.username} is it`));
+        });
+
+        it('tags players by proximity, but not straight back', async () => {
+            const { it, itId, runner, runnerId } = await startRound();
+
+            // Walk "it" onto the runner, 60px a step
+            const from = await positionOf(itId);
+            const to = await positionOf(runnerId);
+            const direction = Math.sign(to.x - from.x);
+            await move(it, from.x + 60 * direction, 1000);
+            assert.strictEqual((await getTag()).it.id, itId);
+            await move(it, to.x, 1000);
+
+            const tagged = await getTag();
+            assert.strictEqual(tagged.it.id, runnerId);
+            assert.strictEqual(tagged.standings.find(standing => standing.id === itId).tags, 1);
+
+            // The new "it" can't tag them straight back
+            await move(runner, to.x, 1000);
+            assert.strictEqual((await getTag()).it.id, runnerId);
+
+            clock.advance(3000);
+            await move(runner, to.x, 1000);
+            assert.strictEqual((await getTag()).it.id, itId);
+        });
+
+        it('keeps both changes when a tag and a join happen at once', async () => {
+            const carol = createUser({ uuid: 'uuid-carol', username: 'carol' });
+            const { it, itId, runnerId } = await startRound();
+            const from = await positionOf(itId);
+            const to = await positionOf(runnerId);
+            await move(it, from.x + 60 * Math.sign(to.x - from.x), 1000);
+
+            // Carol's join reads the round, then "it" makes the tag before
+            // she saves
+            clock.advance(1000);
+            const get = runtime.kv.get.bind(runtime.kv);
+            runtime.kv.get = async (key) => {
+                const value = await get(key);
+                if (key === 'mmo_room:lobby:tag') {
+                    runtime.kv.get = get;
+                    await runtime.request('POST', '/api/player/position', { user: it, body: { x: to.x, y: 1000, emoji: '😀' } });
+                }
+                return value;
+            };
+            await runtime.request('POST', '/api/player/position', { user: carol, body: { x: 1000, y: 1000, emoji: '😀' } });
+
+            const tag = await getTag();
+            assert.notStrictEqual(tag.it.id, itId);
+            assert.strictEqual(tag.standings.find(standing => standing.id === itId).tags, 1);
+            assert.deepStrictEqual(tag.standings.map(standing => standing.id).sort(), ['uuid-alice', 'uuid-bob', 'uuid-carol']);
+        });
+
+        it('ends the round after its time and announces the results', async () => {
+            await startRound();
+            for (let i = 0; i < 8; i++) {
+                clock.advance(25000);
+                await runtime.request('POST', '/api/player/heartbeat', { user: alice });
+                await runtime.request('POST', '/api/player/heartbeat', { user: bob });
+            }
+
+            const ended = await getTag();
+            assert.strictEqual(ended.status, 'ended');
+            assert.deepStrictEqual(ended.results.map(result => result.rank), [1, 2]);
+            assert.strictEqual(ended.results.reduce((sum, result) => sum + result.itTime, 0), 3 * 60 * 1000);
+            assert.match((await announcements()).pop(), /^Round 1 of tag is over! Least time as it: 1\. @/);
+
+            clock.advance(30000);
+            await runtime.request('POST', '/api/player/heartbeat', { user: alice });
+            await runtime.request('POST', '/api/player/heartbeat', { user: bob });
+            const next = await getTag();
+            assert.strictEqual(next.status, 'running');
+            assert.strictEqual(next.round, 2);
+        });
+
+        it('hands "it" on when that player leaves', async () => {
+            const carol = createUser({ uuid: 'uuid-carol', username: 'carol' });
+            const users = { 'uuid-alice': alice, 'uuid-bob': bob, 'uuid-carol': carol };
+            const { it } = await startRound();
+            await move(carol, 1000, 1000);
+            await runtime.request('POST', '/api/player/logout', { user: it });
+
+            const handedOn = await getTag();
+            assert.strictEqual(handedOn.status, 'running');
+            assert.notStrictEqual(handedOn.it.id, (await it.puter.auth.getUser()).uuid);
+
+            // One player can't play on their own, so the round ends early
+            await runtime.request('POST', '/api/player/logout', { user: users[handedOn.it.id] });
+            const tag = await getTag();
+            assert.strictEqual(tag.status, 'ended');
+            assert.strictEqual(tag.results.length, 3);
+        });
+
+        it('lets players opt out, and back in', async () => {
+            await move(alice, 1000, 1000);
+            const { status, body } = await json(await optOut(alice, true));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.optedOut, true);
+
+            await move(bob, 1000, 1000);
+            assert.strictEqual((await getTag()).status, 'ended');
+            assert.strictEqual((await getTag(alice)).optedOut, true);
+            const profile = await json(await runtime.request('GET', '/api/player/me', { user: alice }));
+            assert.strictEqual(profile.body.profile.tagOptOut, true);
+
+            const back = await json(await optOut(alice, false));
+            assert.strictEqual(back.body.status, 'running');
+        });
+
+        it('validates opt-out requests', async () => {
+            assert.strictEqual((await optOut(null, true)).status, 401);
+            assert.strictEqual((await optOut(alice, true)).status, 404);
+
+            await move(alice, 1000, 1000);
+            assert.strictEqual((await optOut(alice, 'yes')).status, 400);
+        });
+    });
+
+    describe('emotes and speech bubbles', () => {
+        const playerOf = async (id, query = '') => {
+            const { body } = await json(await runtime.request('GET', '/api/players' + query));
+            return body.players.find(p => p.id === id);
+        };
+        const emote = async (user, name) => json(await runtime.request('POST', '/api/player/emote', { user, body: { emote: name } }));
+
+        beforeEach(async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1000, y: 1000, emoji: '😀' } });
+        });
+
+        it('lists the emotes players can send', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/api/emotes'));
+            assert.strictEqual(status, 200);
+            assert.ok(body.emotes.some(e => e.name === 'wave' && e.emoji === '👋'));
+            assert.strictEqual(body.duration, 4000);
+        });
+
+        it('shows an emote to other players until it expires', async () => {
+            const first = await json(await runtime.request('GET', '/api/players'));
+            clock.advance(1000);
+
+            const { status, body } = await emote(alice, 'wave');
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.emote, { name: 'wave', emoji: '👋', expiresAt: clock.now() + 4000 });
+
+            // Sending one is a change delta syncs pick up, in and out of an area
+            const delta = await playerOf('uuid-alice', `?since=${first.body.cursor}`);
+            assert.strictEqual(delta.emote.name, 'wave');
+            assert.strictEqual((await playerOf('uuid-alice', '?x=1000&y=1000&radius=200')).emote.name, 'wave');
+
+            // Moving keeps it showing
+            clock.advance(1000);
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 1020, y: 1000, emoji: '😀' } });
+            assert.strictEqual((await playerOf('uuid-alice')).emote.emoji, '👋');
+
+            clock.advance(3000);
+            assert.strictEqual((await playerOf('uuid-alice')).emote, null);
+        });
+
+        it('shows the latest global or say message as a bubble, but not whispers', async () => {
+            await runtime.request('POST', '/api/player/position', { user: bob, body: { x: 1000, y: 1000, emoji: '🐸' } });
+
+            const sent = await json(await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'hello there' } }));
+            assert.deepStrictEqual(sent.body.bubble, { text: 'hello there', kind: 'text', expiresAt: clock.now() + 6000 });
+            assert.strictEqual((await playerOf('uuid-alice')).bubble.text, 'hello there');
+
+            clock.advance(1000);
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'nearby', channel: 'say' } });
+            clock.advance(1000);
+            const whisper = await json(await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'secret', channel: 'whisper', to: 'bob' } }));
+            assert.strictEqual(whisper.body.bubble, null);
+            assert.strictEqual((await playerOf('uuid-alice')).bubble.text, 'nearby');
+
+            clock.advance(5000);
+            assert.strictEqual((await playerOf('uuid-alice')).bubble, null);
+        });
+
+        it('rejects unknown emotes, and players who are not in the world', async () => {
+            const unknown = await emote(alice, 'explode');
+            assert.strictEqual(unknown.status, 400);
+            assert.strictEqual(unknown.body.error, 'Invalid emote');
+
+            assert.strictEqual((await emote(bob, 'wave')).status, 404);
+            assert.strictEqual((await json(await runtime.request('POST', '/api/player/emote', { user: null, body: { emote: 'wave' } }))).status, 401);
+        });
+
+        it('limits emotes per user', async () => {
+            for (let i = 0; i < 3; i++) {
+                assert.strictEqual((await emote(alice, 'dance')).status, 200);
+            }
+            assert.strictEqual((await emote(alice, 'dance')).status, 429);
+        });
+    });
+
+    describe('presence', () => {
+        const presenceOf = async (id) => {
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            const player = body.players.find(p => p.id === id);
+            return player && player.presence;
+        };
+        const heartbeat = async (user) => json(await runtime.request('POST', '/api/player/heartbeat', { user }));
+
+        it('goes from active to idle to away, then expires on read', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 10, y: 10, emoji: '😀' } });
+            assert.strictEqual(await presenceOf('uuid-alice'), 'active');
+
+            // Heartbeats keep the player online but don't count as activity
+            for (let i = 0; i < 7; i++) {
+                clock.advance(10000);
+                assert.strictEqual((await heartbeat(alice)).status, 200);
+            }
+            assert.strictEqual(await presenceOf('uuid-alice'), 'idle');
+
+            clock.advance(31000);
+            assert.strictEqual(await presenceOf('uuid-alice'), 'away');
+
+            clock.advance(2 * 60000);
+            const { body } = await json(await runtime.request('GET', '/api/players'));
+            assert.strictEqual(body.count, 0);
+        });
+
+        it('comes back from away with a heartbeat, and back to active by chatting', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 10, y: 10, emoji: '😀' } });
+            clock.advance(90000);
+
+            const { body } = await heartbeat(alice);
+            assert.strictEqual(body.presence, 'idle');
+
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'back now' } });
+            assert.strictEqual(await presenceOf('uuid-alice'), 'active');
+        });
+
+        it('sends presence changes in delta syncs', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 10, y: 10, emoji: '😀' } });
+            clock.advance(10000);
+            const first = await json(await runtime.request('GET', '/api/players'));
+
+            clock.advance(10000);
+            const quiet = await json(await runtime.request('GET', `/api/players?since=${first.body.cursor}`));
+            assert.deepStrictEqual(quiet.body.players, []);
+
+            clock.advance(15000);
+            const away = await json(await runtime.request('GET', `/api/players?since=${quiet.body.cursor}`));
+            assert.deepStrictEqual(away.body.players.map(p => [p.id, p.presence]), [['uuid-alice', 'away']]);
+        });
+
+        it('rejects heartbeats from players who are not in the world', async () => {
+            const { status, body } = await heartbeat(bob);
+            assert.strictEqual(status, 404);
+            assert.strictEqual(body.error, 'Not in world');
+        });
+    });
+
+    describe('POST /api/cleanup', () => {
+        const owner = createUser({ uuid: 'local-owner', username: 'owner' });
+
+        it('sweeps players that have not been seen within the timeout', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 10, y: 10, emoji: '😀' } });
+            await runtime.request('POST', '/api/player/position', { user: bob, body: { x: 20, y: 20, emoji: '🐸' } });
+            clock.advance(60000);
+            await runtime.request('POST', '/api/player/heartbeat', { user: bob });
+            clock.advance(60000 + 1000);
+
+            const { status, body } = await json(await runtime.request('POST', '/api/cleanup', { user: owner }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.removedPlayers, 1);
+            assert.strictEqual(body.activePlayers, 1);
+
+            const players = await json(await runtime.request('GET', '/api/players'));
+            assert.deepStrictEqual(players.body.players.map(p => p.id), ['uuid-bob']);
+        });
+
+        it('is only open to admins', async () => {
+            const anonymous = await runtime.request('POST', '/api/cleanup');
+            assert.strictEqual(anonymous.status, 401);
+
+            const player = await runtime.request('POST', '/api/cleanup', { user: alice });
+            assert.strictEqual(player.status, 403);
+        });
+    });
+
+    describe('GET /api/stats', () => {
+        it('reports players, messages and recent senders', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 10, y: 10, emoji: '😀' } });
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'hi' } });
+
+            const { status, body } = await json(await runtime.request('GET', '/api/stats'));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.activePlayers, 1);
+            assert.strictEqual(body.totalMessages, 1);
+            assert.deepStrictEqual(body.recentMessages.map(m => m.username), ['alice']);
+        });
+    });
+
+    describe('POST /api/player/logout', () => {
+        it('removes the authenticated player', async () => {
+            await runtime.request('POST', '/api/player/position', { user: alice, body: { x: 10, y: 10, emoji: '😀' } });
+
+            const { status, body } = await json(await runtime.request('POST', '/api/player/logout', { user: alice }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.playerRemoved, true);
+            assert.strictEqual(body.remainingPlayers, 0);
+        });
+
+        it('rejects unauthenticated requests with 401', async () => {
+            const { status } = await json(await runtime.request('POST', '/api/player/logout'));
+            assert.strictEqual(status, 401);
+        });
+    });
+
+    describe('GET /api/sync', () => {
+        const carol = createUser({ uuid: 'uuid-carol', username: 'carol' });
+        const move = (user, x) => runtime.request('POST', '/api/player/position', { user, body: { x, y: 1000, emoji: '😀' } });
+
+        // Cursors taken once the joins are outside the delta overlap window
+        const cursors = async (user) => {
+            clock.advance(3000);
+            const { body } = await json(await runtime.request('GET', '/api/sync?wait=0', { user }));
+            return `since=${body.players.cursor}&after=${body.chat.lastSeq}`;
+        };
+
+        beforeEach(async () => {
+            await move(alice, 1000);
+            await move(bob, 1100);
+        });
+
+        it('answers at once with players, chat and stats when there are no cursors', async () => {
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'hello' } });
+            const { status, body } = await json(await runtime.request('GET', '/api/sync', { user: bob }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.players.full, true);
+            assert.strictEqual(body.players.count, 2);
+            // Two players start a tag round, so its announcement comes first
+            assert.deepStrictEqual(body.chat.messages.map(m => m.message).slice(-1), ['hello']);
+            assert.deepStrictEqual(body.stats, { activePlayers: 2, totalMessages: body.chat.totalMessages });
+            assert.strictEqual(body.timestamp, clock.now());
+        });
+
+        it('holds the request until someone moves', async () => {
+            const query = await cursors(bob);
+            const pending = runtime.request('GET', `/api/sync?${query}`, { user: bob });
+            await move(alice, 1050);
+
+            const { status, body } = await json(await pending);
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.players.players.map(p => p.id), ['uuid-alice']);
+            assert.strictEqual(body.players.players[0].x, 1050);
+            assert.deepStrictEqual(body.chat.messages, []);
+        });
+
+        it('holds the request until a chat message arrives', async () => {
+            const query = await cursors(bob);
+            const pending = runtime.request('GET', `/api/sync?${query}`, { user: bob });
+            await runtime.request('POST', '/api/chat', { user: alice, body: { message: 'anyone here?' } });
+
+            const { body } = await json(await pending);
+            assert.deepStrictEqual(body.chat.messages.map(m => m.message), ['anyone here?']);
+            assert.strictEqual(body.chat.lastSeq, body.chat.messages[0].seq);
+        });
+
+        it('keeps waiting through its own moves and whispers to others, and answers fresh once the wait is over', async () => {
+            await move(carol, 1200);
+            const query = await cursors(bob);
+            const pending = runtime.request('GET', `/api/sync?${query}&wait=1000`, { user: bob });
+            await runtime.request('POST', '/api/chat', {
+                user: alice,
+                body: { message: 'psst', channel: 'whisper', to: 'carol' }
+            });
+            await move(bob, 1120);
+            clock.advance(1000);
+
+            const { status, body } = await json(await pending);
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.players.players.map(p => p.id), ['uuid-bob']);
+            assert.deepStrictEqual(body.chat.messages, []);
+            assert.strictEqual(body.timestamp, clock.now());
+            assert.strictEqual(body.players.cursor, clock.now());
+        });
+
+        it('looks for changes less and less often while the room stays quiet', async () => {
+            const query = await cursors(bob);
+            // The same worker and KV, with sleeps that move the clock on at once
+            const quiet = createRuntime({
+                clock,
+                kv: runtime.kv,
+                setTimeout: (resume, ms) => {
+                    clock.advance(ms);
+                    return setTimeout(resume, 0);
+                }
+            });
+            const { get, list } = runtime.kv;
+            let checks = 0;
+            let reads = 0;
+            runtime.kv.get = function (key) {
+                reads++;
+                if (key === 'mmo_room:lobby:sync_version') checks++;
+                return get.call(this, key);
+            };
+            runtime.kv.list = function (...args) {
+                reads++;
+                return list.apply(this, args);
+            };
+
+            const started = clock.now();
+            const { body } = await json(await quiet.request('GET', `/api/sync?${query}`, { user: bob }));
+            runtime.kv.get = get;
+            runtime.kv.list = list;
+            assert.deepStrictEqual(body.players.players, []);
+            assert.strictEqual(clock.now() - started, 15000);
+            // One look before and after the wait, and 9 during it: after
+            // 500ms, 1s, then every 2s up to the 15s deadline
+            assert.strictEqual(checks, 11);
+            // Each look reads the two counters; building the answer before
+            // and after the wait reads the rest
+            assert.strictEqual(reads, 28);
+        });
+
+        it('answers at once with wait=0', async () => {
+            const query = await cursors(bob);
+            const { status, body } = await json(await runtime.request('GET', `/api/sync?${query}&wait=0`, { user: bob }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.players.full, false);
+            assert.deepStrictEqual(body.players.players, []);
+        });
+
+        it('rejects a bad wait or area with 400', async () => {
+            for (const wait of ['-1', 'soon']) {
+                const { status, body } = await json(await runtime.request('GET', `/api/sync?wait=${wait}`));
+                assert.strictEqual(status, 400);
+                assert.strictEqual(body.error, 'Invalid wait');
+            }
+            const { status, body } = await json(await runtime.request('GET', '/api/sync?x=10'));
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error, 'Invalid area');
+        });
+    });
+
+    describe('GET /health and GET /api', () => {
+        it('reports health', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/health'));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.status, 'ok');
+            assert.strictEqual(body.players, 0);
+        });
+
+        it('documents the endpoints', async () => {
+            const { status, body } = await json(await runtime.request('GET', '/api'));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.name, 'MMO Game API');
+            assert.ok(body.endpoints['GET /api/players']);
+        });
+    });
+
+    describe('fallback routes', () => {
+        it('returns 404 for unknown GET and POST paths', async () => {
+            const get = await json(await runtime.request('GET', '/api/nope'));
+            assert.strictEqual(get.status, 404);
+            assert.strictEqual(get.body.path, 'api/nope');
+
+            const post = await json(await runtime.request('POST', '/api/nope'));
+            assert.strictEqual(post.status, 404);
+            assert.strictEqual(post.body.method, 'POST');
+        });
+
+        it('returns 405 for PUT and DELETE', async () => {
+            const put = await json(await runtime.request('PUT', '/api/players'));
+            assert.strictEqual(put.status, 405);
+            assert.strictEqual(put.body.method, 'PUT');
+
+            const del = await json(await runtime.request('DELETE', '/api/players'));
+            assert.strictEqual(del.status, 405);
+            assert.strictEqual(del.body.method, 'DELETE');
+        });
+    });
+});
+
+describe('local HTTP server', () => {
+    it('serves the worker routes and maps the user header to a player', async () => {
+        const server = createServer(createRuntime());
+        await new Promise(resolve => server.listen(0, resolve));
+        const baseUrl = `http://localhost:${server.address().port}`;
+
+        try {
+            const unauthenticated = await fetch(`${baseUrl}/api/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message: 'hi' })
+            });
+            assert.strictEqual(unauthenticated.status, 401);
+
+            const sent = await fetch(`${baseUrl}/api/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', [USER_HEADER]: 'carol' },
+                body: JSON.stringify({ message: 'hi' })
+            });
+            assert.strictEqual(sent.status, 200);
+            assert.strictEqual(sent.headers.get('access-control-allow-origin'), '*');
+            assert.strictEqual((await sent.json()).message.username, 'carol');
+
+            const preflight = await fetch(`${baseUrl}/api/chat`, { method: 'OPTIONS' });
+            assert.strictEqual(preflight.status, 204);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,451 @@
+// Transports - how game.js reaches the game backend. GAME_CONFIG.transport
+// picks one:
+//
+//   'worker'    - the mmo.js worker deployed on Puter (or the local runtime),
+//                 with Puter accounts
+//   'simulated' - mmo.js itself running in the page, with bots to play with
+//                 and no account needed. demo.html uses this one
+//
+// Both have the same shape:
+//
+//   transport.auth       - isSignedIn(), signIn(), getUser() and signOut()
+//   transport.connect()  - resolves once requests can be sent; takes a
+//                          function to report progress to
+//   transport.fetch(path, options, user) - a worker request, answered with
+//                          a Fetch API Response
+
+function createTransport(kind, config) {
+    if (kind === 'simulated') {
+        return createSimulatedTransport();
+    }
+    return createWorkerTransport(config);
+}
+
+function createWorkerTransport({ workerUrl, autoDeployWorker, localRuntime }) {
+    let url = workerUrl;
+
+    async function request(path, options = {}, user = null) {
+        if (localRuntime) {
+            const headers = { ...options.headers };
+            if (user) {
+                headers['X-Local-User'] = user.username;
+                headers['X-Local-User-Id'] = user.uuid;
+            }
+            return fetch(`${url}${path}`, { ...options, headers });
+        }
+        return puter.workers.exec(`${url}${path}`, options);
+    }
+
+    async function testConnection() {
+        try {
+            const response = await request('/health');
+            const data = await response.json();
+            console.log('Worker connection test successful:', data);
+        } catch (error) {
+            console.error('Worker connection test failed:', error);
+            throw new Error('Failed to connect to worker. Please check the worker URL.');
+        }
+    }
+
+    async function deploy(onStatus) {
+        try {
+            onStatus('Setting up game server...');
+
+            // Check if worker already exists
+            const workers = await puter.workers.list();
+            const existingWorker = workers.find(w => w.name === 'mmo-game');
+
+            if (existingWorker) {
+                url = existingWorker.url;
+                console.log('Using existing worker:', url);
+                await testConnection();
+                return;
+            }
+
+            // Read the standalone worker file
+            let workerCode;
+            try {
+                const workerFile = await puter.fs.read('mmo.js');
+                workerCode = await workerFile.text();
+            } catch (error) {
+                console.warn('Could not read mmo.js file, using embedded worker code');
+                // Fallback to embedded worker code for backward compatibility
+                workerCode = await getEmbeddedWorkerCode();
+            }
+
+            // Write worker file to user's storage
+            await puter.fs.write('mmo-worker.js', workerCode);
+
+            // Deploy worker
+            onStatus('Deploying game server...');
+            const deployment = await puter.workers.create('mmo-game', 'mmo-worker.js');
+            url = deployment.url;
+
+            console.log('Worker deployed:', url);
+
+            // Wait for worker to be ready
+            onStatus('Initializing game server...');
+            await new Promise(resolve => setTimeout(resolve, 3000));
+
+            // Test connection
+            await testConnection();
+
+        } catch (error) {
+            console.error('Worker deployment error:', error);
+            throw error;
+        }
+    }
+
+    return {
+        kind: 'worker',
+        auth: {
+            isSignedIn: () => puter.auth.isSignedIn(),
+            signIn: () => puter.auth.signIn(),
+            getUser: () => puter.auth.getUser(),
+            signOut: () => puter.auth.signOut()
+        },
+
+        async connect(onStatus = () => {}) {
+            try {
+                // If worker URL is already configured, use it
+                if (url) {
+                    console.log('Using configured worker URL:', url);
+                    await testConnection();
+                    return;
+                }
+
+                // If auto-deploy is disabled but no URL provided, throw error
+                if (!autoDeployWorker) {
+                    throw new Error('Worker URL not configured and auto-deploy is disabled. Please set GAME_CONFIG.workerUrl');
+                }
+
+                // Auto-deploy worker if enabled
+                await deploy(onStatus);
+
+            } catch (error) {
+                console.error('Worker setup error:', error);
+                throw error;
+            }
+        },
+
+        fetch: request
+    };
+}
+
+async function getEmbeddedWorkerCode() {
+    // Embedded worker code as fallback
+    return `
+// MMO Game Worker - handles player positions and chat
+const players = new Map();
+const chatHistory = [];
+
+// Get all players
+router.get('/api/players', async ({ request }) => {
+    const playerList = Array.from(players.values());
+    return {
+        players: playerList,
+        count: playerList.length,
+        timestamp: Date.now()
+    };
+});
+
+// Update player position
+router.post('/api/player/position', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ error: 'Authentication required' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    const { x, y, emoji } = await request.json();
+    const userInfo = await user.puter.auth.getUser();
+    
+    players.set(userInfo.uuid, {
+        id: userInfo.uuid,
+        username: userInfo.username,
+        emoji: emoji,
+        x: x,
+        y: y,
+        lastUpdate: Date.now()
+    });
+    
+    return { success: true };
+});
+
+// Get chat messages
+router.get('/api/chat', async ({ request }) => {
+    return {
+        messages: chatHistory.slice(-50),
+        timestamp: Date.now()
+    };
+});
+
+// Send chat message
+router.post('/api/chat', async ({ request, user }) => {
+    if (!user || !user.puter) {
+        return new Response(JSON.stringify({ error: 'Authentication required' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    const { message } = await request.json();
+    const userInfo = await user.puter.auth.getUser();
+    
+    if (!message || message.trim().length === 0) {
+        return new Response(JSON.stringify({ error: 'Message cannot be empty' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    const chatMessage = {
+        id: Date.now() + Math.random(),
+        username: userInfo.username,
+        message: message.trim(),
+        timestamp: new Date().toISOString()
+    };
+    
+    chatHistory.push(chatMessage);
+    
+    if (chatHistory.length > 100) {
+        chatHistory.shift();
+    }
+    
+    return { success: true, message: chatMessage };
+});
+
+// Remove inactive players
+router.post('/api/cleanup', async ({ request }) => {
+    const now = Date.now();
+    const timeout = 30000;
+    
+    for (const [id, player] of players.entries()) {
+        if (now - player.lastUpdate > timeout) {
+            players.delete(id);
+        }
+    }
+    
+    return { cleaned: true };
+});
+
+// Health check
+router.get('/health', async () => {
+    return { status: 'ok', players: players.size, messages: chatHistory.length };
+});
+
+// 404 handler
+router.get('/*path', async ({ params }) => {
+    return new Response(JSON.stringify({
+        error: 'Not found',
+        path: params.path
+    }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+    });
+});
+`;
+}
+
+// The simulated backend. Bots are ordinary players of the in-page worker:
+// they join the room we play in, walk to random spots and chat now and then.
+const SIMULATED_WORKER_SOURCE = 'mmo.js';
+const SIMULATED_HOST_SOURCE = 'local/worker-host.js'; // the in-memory KV and router, loaded only for this transport
+const SIMULATED_OWNER = { uuid: 'demo-owner', username: 'owner' };
+const SIMULATED_BOTS = 2; // bots that join on their own; /bot adds more
+const BOT_NAMES = ['Bot1', 'Bot2', 'Bot3', 'Bot4', 'Bot5', 'Bot6', 'Bot7', 'Bot8'];
+const BOT_EMOJIS = ['🤖', '👾', '🐱', '🐶', '🦄', '🐸', '😎', '🤠'];
+const BOT_LINES = [
+    'Nice game!',
+    'Anyone want to race?',
+    'This is fun!',
+    'Hello there!',
+    'Great MMO demo!',
+    'Moving around...',
+    'Cool graphics!'
+];
+const BOT_MOVE_INTERVAL = 1000; // ms between a bot's steps, give or take half of it
+const BOT_STEP = 60; // pixels per step, well inside the worker's speed limit
+const BOT_CHAT_CHANCE = 0.02; // per step
+
+// Bots and the world they play in last as long as the page: game.js reloads
+// it on sign out, which ends both.
+function createSimulatedTransport({ workerSource = SIMULATED_WORKER_SOURCE, bots = SIMULATED_BOTS } = {}) {
+    const botPlayers = [];
+    let handle = null;
+    let user = null;
+    let room = null; // the room we play in; bots follow us there
+    let started = null;
+
+    // Run mmo.js with the globals a Puter worker gets. Its top-level
+    // declarations stay inside the function, away from game.js.
+    async function start() {
+        if (typeof MemoryKV === 'undefined') {
+            await loadScript(SIMULATED_HOST_SOURCE);
+        }
+
+        const response = await fetch(workerSource);
+        if (!response.ok) {
+            throw new Error(`Could not load ${workerSource} for the simulated game`);
+        }
+
+        const source = await response.text();
+        const router = new LocalRouter();
+        const me = { puter: { kv: new MemoryKV(), auth: { getUser: async () => ({ ...SIMULATED_OWNER }) } } };
+        new Function('router', 'me', source)(router, me);
+        handle = createDispatcher(router);
+
+        for (let i = 0; i < bots; i++) {
+            setTimeout(addBot, (i + 1) * 1000);
+        }
+    }
+
+    function request(path, options = {}, asUser = null) {
+        const url = new URL(path, 'http://simulated.local');
+        if (asUser && user && asUser.uuid === user.uuid && url.searchParams.has('room')) {
+            room = url.searchParams.get('room');
+        }
+
+        const { signal, ...init } = options;
+        const response = handle(new Request(url, init), asUser && createUser(asUser));
+        return signal ? abortable(response, signal) : response;
+    }
+
+    function addBot() {
+        if (botPlayers.length >= BOT_NAMES.length) {
+            throw new Error(`There are already ${BOT_NAMES.length} bots`);
+        }
+
+        const index = botPlayers.length;
+        const bot = {
+            user: { uuid: `demo-bot-${index + 1}`, username: BOT_NAMES[index] },
+            emoji: BOT_EMOJIS[index % BOT_EMOJIS.length],
+            room: null,
+            position: null,
+            target: null,
+            world: null,
+            busy: false
+        };
+        botPlayers.push(bot);
+        setInterval(() => stepBot(bot), BOT_MOVE_INTERVAL * (0.5 + Math.random()));
+        return bot.user;
+    }
+
+    function botRequest(bot, path, body) {
+        return request(`${path}?room=${encodeURIComponent(bot.room)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }, bot.user);
+    }
+
+    async function stepBot(bot) {
+        if (!room || bot.busy) return;
+        bot.busy = true;
+
+        try {
+            // Joining another room leaves the old one
+            if (bot.room !== room) {
+                bot.room = room;
+                bot.position = null;
+            }
+
+            const joining = !bot.position;
+            const next = joining ? { x: 0, y: 0 } : stepTowards(bot.position, bot.target, BOT_STEP);
+            const response = await botRequest(bot, '/api/player/position', { ...next, emoji: bot.emoji });
+            const data = await response.json();
+            if (!response.ok) return;
+
+            if (data.world) bot.world = data.world;
+            bot.position = data.position;
+            if (joining || data.blocked || (bot.position.x === bot.target.x && bot.position.y === bot.target.y)) {
+                bot.target = randomSpot(bot.world);
+            }
+
+            if (joining) {
+                await botRequest(bot, '/api/chat', { message: `Hello everyone! ${bot.emoji}` });
+            } else if (Math.random() < BOT_CHAT_CHANCE) {
+                await botRequest(bot, '/api/chat', { message: BOT_LINES[Math.floor(Math.random() * BOT_LINES.length)] });
+            }
+        } catch (error) {
+            console.error(`Bot ${bot.user.username} failed to move:`, error);
+        } finally {
+            bot.busy = false;
+        }
+    }
+
+    return {
+        kind: 'simulated',
+        auth: {
+            isSignedIn: () => Boolean(user),
+            // No accounts here: pick a name and play
+            signIn: async () => {
+                const name = prompt('Pick a name for the demo', `Player${Math.floor(Math.random() * 1000)}`);
+                const username = (name || '').replace(/[^\w-]/g, '').slice(0, 20) || 'Player';
+                // A prefix of its own, so no name can take a bot's or the owner's uuid
+                user = { uuid: `demo-player-${username.toLowerCase()}`, username };
+            },
+            getUser: async () => ({ ...user }),
+            signOut: () => {
+                user = null;
+            }
+        },
+
+        async connect() {
+            if (!started) {
+                started = start().catch(error => {
+                    started = null;
+                    throw error;
+                });
+            }
+            await started;
+        },
+
+        fetch: request,
+
+        // Another bot joins, as long as there are names left
+        addBot
+    };
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src} for the simulated game`));
+        document.head.appendChild(script);
+    });
+}
+
+// A fetch to the in-page worker can't be cancelled, but the game can stop
+// waiting for it
+function abortable(promise, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The request was aborted', 'AbortError'));
+        if (signal.aborted) {
+            abort();
+            return;
+        }
+        signal.addEventListener('abort', abort, { once: true });
+        promise.then(resolve, reject);
+    });
+}
+
+function stepTowards(from, to, step) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    if (distance <= step) return { x: to.x, y: to.y };
+    return {
+        x: Math.round(from.x + (to.x - from.x) * step / distance),
+        y: Math.round(from.y + (to.y - from.y) * step / distance)
+    };
+}
+
+function randomSpot(world = { width: 2000, height: 2000 }) {
+    const margin = 20;
+    return {
+        x: Math.round(margin + Math.random() * (world.width - margin * 2)),
+        y: Math.round(margin + Math.random() * (world.height - margin * 2))
+    };
+}